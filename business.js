@@ -2,11 +2,55 @@ const { ObjectId } = require('mongodb')
 const persistence = require('./persistence')
 const crypto = require("crypto")
 const nodemailer = require("nodemailer")
+const { EventEmitter } = require("events")
 let transporter = nodemailer.createTransport({
     host: "127.0.0.1",
     port: 25,
 })
 
+const messageEvents = new EventEmitter()
+messageEvents.setMaxListeners(0)
+
+const supportedLanguages = ["English", "Spanish", "French", "German", "Chinese", "Japanese", "Korean", "Hindi", "Arabic", "Russian"]
+const languageLevels = ["A1", "A2", "B1", "B2", "C1", "C2", "native"]
+const minimumLevelGap = 2
+const usersPerPage = 10
+const messagesPerPage = 50
+const snippetLength = 80
+const messageEditWindowMinutes = 15
+const maxDiffCells = 250000
+const translationProviderName = process.env.TRANSLATION_PROVIDER || "dictionary"
+const maxPhraseLength = 200
+const initialEaseFactor = 2.5
+const minimumEaseFactor = 1.3
+const searchResultsLimit = 50
+const maxMessageLength = Number(process.env.MAX_MESSAGE_LENGTH) || 2000
+const profanityFilterModes = ["mask", "reject", "off"]
+const profanityFilterMode = profanityFilterModes.includes(process.env.PROFANITY_FILTER) ? process.env.PROFANITY_FILTER : "mask"
+const bulkMessageWindowMinutes = 10
+const bulkMessageRecipientLimit = 5
+const koreanParticles = ["이야", "이다", "이랑", "에서", "한테", "으로", "이", "가", "은", "는", "을", "를", "의", "에", "도", "만", "로", "야", "아", "랑"]
+const maxFailedLogins = Number(process.env.MAX_FAILED_LOGINS) || 5
+const lockoutMinutes = Number(process.env.LOCKOUT_MINUTES) || 15
+const loginHistoryLimit = 20
+const loginFailureReasons = {
+    password: "Wrong password",
+    locked: "Account locked",
+    unverified: "Email not verified",
+    suspended: "Account suspended"
+}
+const rateLimits = {
+    login: { windowMinutes: 15, perIp: 30, perAccount: 10, message: "Too many login attempts." },
+    resetPassword: { windowMinutes: 60, perIp: 10, perAccount: 3, message: "Too many password reset requests." },
+    signUp: { windowMinutes: 60, perIp: 5, perAccount: 3, message: "Too many sign-up attempts." },
+    sendMessage: { windowMinutes: 1, perIp: 60, perAccount: 20, message: "You are sending messages too quickly." }
+}
+const recentActivityBonuses = [
+    { withinDays: 1, bonus: 20, label: "Active today" },
+    { withinDays: 7, bonus: 10, label: "Active this week" },
+    { withinDays: 30, bonus: 5, label: "Active this month" }
+]
+
 /**
  * Retrieves a user by their unique ID using the persistence layer.
  *
@@ -139,6 +183,46 @@ async function validateProfilePicture(profilePicture) {
     return { isValid: true };
 }
 
+/**
+ * Checks if a proficiency level is a CEFR level (A1 to C2) or "native".
+ *
+ * @function isValidLanguageLevel
+ * @param {string} level - The proficiency level to check.
+ * @returns {boolean} `true` if the level is supported, `false` otherwise.
+ */
+
+function isValidLanguageLevel(level) {
+    return languageLevels.includes(level)
+}
+
+/**
+ * Lists the proficiency levels that are clearly higher than a learner's level in a language.
+ *
+ * @function getLevelsClearlyAbove
+ * @param {string} level - The learner's proficiency level.
+ * @returns {Array<string>} The levels at least `minimumLevelGap` steps above the given level. "native" is always included.
+ */
+
+function getLevelsClearlyAbove(level) {
+    const rank = Math.max(languageLevels.indexOf(level), 0)
+    const minimumRank = Math.min(rank + minimumLevelGap, languageLevels.length - 1)
+    return languageLevels.slice(minimumRank)
+}
+
+/**
+ * Migrates users whose languages are still stored as plain strings to `{ language, level }` entries.
+ *
+ * @async
+ * @function migrateLanguageLevels
+ * @throws Will propagate any errors from the persistence layer.
+ * @description Known languages default to "native" and learning languages default to "A1",
+ * so existing users keep matching the same partners as before levels were introduced.
+ */
+
+async function migrateLanguageLevels() {
+    await persistence.migrateLanguageLevels("native", "A1")
+}
+
 /**
  * Creates a salted hash for a given password.
  *
@@ -165,8 +249,8 @@ function createSaltedHash(password) {
  * @param {string} username - The username of the new user.
  * @param {string} email - The email address of the new user.
  * @param {string} password - The plain text password of the new user.
- * @param {Array<string>} knownLanguages - A list of languages the user knows.
- * @param {Array<string>} learningLanguages - A list of languages the user is learning.
+ * @param {Array<Object>} knownLanguages - A list of `{ language, level }` entries for the languages the user knows.
+ * @param {Array<Object>} learningLanguages - A list of `{ language, level }` entries for the languages the user is learning.
  * @param {string} profilePicturePath - The file path to the user's profile picture.
  * @throws Will log an error if any validation fails or if user creation fails.
  * @description This function validates the provided email, username, and password before creating a new user.
@@ -251,6 +335,21 @@ async function verifyEmail(key) {
 }
 
 
+/**
+ * Checks a password against the salted hash stored for a user.
+ *
+ * @function isPasswordCorrect
+ * @param {Object} user - The user document.
+ * @param {string} password - The plain text password to check.
+ * @returns {boolean} `true` if the password matches, `false` otherwise.
+ */
+function isPasswordCorrect(user, password) {
+    const [storedSalt, storedHash] = user.password.split(':')
+    const hash = crypto.createHash('sha1')
+    hash.update(storedSalt + password)
+    return hash.digest('hex') === storedHash
+}
+
 /**
  * Checks the login credentials of a user.
  *
@@ -258,27 +357,144 @@ async function verifyEmail(key) {
  * @function checkLogin
  * @param {string} email - The email address of the user attempting to log in.
  * @param {string} password - The plain text password provided by the user.
+ * @param {Object} [client={}] - Where the attempt comes from: the `ip` address and `userAgent` of the browser.
  * @returns {Object} An object with `isValid` (boolean), `message` (string), and optionally `userId` (string).
- * @description This function verifies the email and password against the database. It also ensures the user's email is verified.
+ * @description This function verifies the email and password against the database. It also ensures the user's email is verified
+ * and that the account is neither suspended nor locked. Every attempt on an existing account is saved in its login history.
+ * After `maxFailedLogins` wrong passwords in a row the account is locked for `lockoutMinutes` minutes, and the user
+ * is emailed a link to unlock it.
  */
-async function checkLogin(email, password) {
+async function checkLogin(email, password, client = {}) {
     const user = await persistence.getUserByEmail(email)
     if (!user) {
         return { isValid: false, message: "Invalid email or password." }
     }
+    const recordAttempt = (reason) => persistence.saveLoginAttempt(user._id, { ...client, isSuccessful: !reason, reason })
+    if (user.lockedUntil && user.lockedUntil > new Date()) {
+        await recordAttempt("locked")
+        return { isValid: false, message: getLockedMessage(user.lockedUntil) }
+    }
     if (!user.isVerified) {
+        await recordAttempt("unverified")
         return { isValid: false, message: "Email is not verified. Please verify your email before logging in." }
     }
-    const [storedSalt, storedHash] = user.password.split(':')
-    const hash = crypto.createHash('sha1')
-    hash.update(storedSalt + password)
-    const inputHash = hash.digest('hex')
-
-    if (inputHash === storedHash) {
-        return { isValid: true, message: "Login successful.", userId: user._id }
-    } else {
+    if (!isPasswordCorrect(user, password)) {
+        await recordAttempt("password")
+        const failedLogins = await persistence.recordFailedLogin(user._id)
+        if (failedLogins !== null && failedLogins >= maxFailedLogins) {
+            const lockedUntil = await lockAccount(user)
+            return { isValid: false, message: getLockedMessage(lockedUntil) }
+        }
         return { isValid: false, message: "Invalid email or password." }
     }
+    if (user.isSuspended) {
+        await recordAttempt("suspended")
+        return { isValid: false, message: "Your account has been suspended. Please contact support." }
+    }
+    if (user.failedLoginCount || user.lockedUntil) {
+        await persistence.updateUserField(user.email, { failedLoginCount: 0, lockedUntil: null })
+    }
+    await recordAttempt(null)
+    return { isValid: true, message: "Login successful.", userId: user._id }
+}
+
+/**
+ * Builds the message shown when logging into a locked account.
+ *
+ * @function getLockedMessage
+ * @param {Date} lockedUntil - When the lock ends.
+ * @returns {string} The message.
+ */
+function getLockedMessage(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / (60 * 1000)))
+    return `This account is locked after too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}, ` +
+        "or use the unlock link we sent to your email."
+}
+
+/**
+ * Locks a user's account for `lockoutMinutes` minutes and emails them a link to unlock it.
+ *
+ * @async
+ * @function lockAccount
+ * @param {Object} user - The user document.
+ * @returns {Date} When the lock ends.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function lockAccount(user) {
+    const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000)
+    await persistence.updateUserField(user.email, { failedLoginCount: 0, lockedUntil })
+    const unlockKey = crypto.randomUUID()
+    await persistence.storeKey(user.email, unlockKey, "unlock", lockoutMinutes)
+    try {
+        await sendAccountLockedEmail(user.email, user.username, unlockKey)
+    } catch (error) {
+        console.error(`Error sending account locked email to ${user.email}: ${error.message}`)
+    }
+    return lockedUntil
+}
+
+/**
+ * Sends an email telling a user that their account was locked, with a link to unlock it.
+ *
+ * @async
+ * @function sendAccountLockedEmail
+ * @param {string} email - The email address of the user.
+ * @param {string} username - The username of the user to personalize the email.
+ * @param {string} unlockKey - The key of the unlock link.
+ * @throws Will log an error if the email fails to send.
+ */
+async function sendAccountLockedEmail(email, username, unlockKey) {
+    const unlockLink = `http://localhost:8000/unlock-account?key=${unlockKey}`
+    const body = `
+    <p>Hello, ${username},</p>
+    <p>Your GlobeLingo account was locked for ${lockoutMinutes} minutes after ${maxFailedLogins} failed login attempts.</p>
+    <p>If this was you, click the link below to unlock your account now:</p>
+    <a href="${unlockLink}">${unlockLink}</a>
+    <p>If this was not you, someone may be trying to guess your password. Consider resetting it.</p>
+    `
+    await transporter.sendMail({
+        from: 'no-reply@globelingo.com',
+        to: email,
+        subject: 'Account Locked',
+        html: body,
+    })
+}
+
+/**
+ * Unlocks an account with the key of the link sent when it was locked.
+ *
+ * @async
+ * @function unlockAccount
+ * @param {string} key - The unlock key.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function unlockAccount(key) {
+    const user = await persistence.getUserByKey(key, "unlock")
+    if (!user) {
+        return { isValid: false, message: "Your unlock link is invalid or has expired." }
+    }
+    await persistence.updateUserField(user.email, { failedLoginCount: 0, lockedUntil: null })
+    await persistence.clearKey(user.email, "unlock")
+    return { isValid: true, message: "Your account has been unlocked. Please log in." }
+}
+
+/**
+ * Retrieves the most recent login attempts on a user's account, newest first.
+ *
+ * @async
+ * @function getLoginHistory
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} Up to `loginHistoryLimit` attempts, each with its `timestamp`, `ip`, `userAgent`,
+ * `isSuccessful` flag and, for failed attempts, a `reasonLabel`.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getLoginHistory(userId) {
+    const attempts = await persistence.getLoginHistory(userId, loginHistoryLimit)
+    return attempts.map((attempt) => ({
+        ...attempt,
+        reasonLabel: attempt.reason ? loginFailureReasons[attempt.reason] || attempt.reason : null
+    }))
 }
 
 /**
@@ -299,20 +515,32 @@ async function startSession(userId) {
         data: { userId: userId }
     }
     await persistence.saveSession(session)
+    await persistence.updateLastActive(userId)
     return uuid
 }
 
 /**
  * Retrieves a session by its session key.
+ * Sessions of suspended or deleted users are deleted and treated as not found.
  *
  * @async
  * @function getSession
  * @param {string} key - The session key to retrieve the session data.
- * @returns {Object|null} The session object if found and valid, or `null` if not found or expired.
+ * @returns {Object|null} The session object if found and valid, or `null` if not found or expired. The session of
+ * a logged-in user also tells whether the user `isAdmin`, which is looked up with the user and not stored in the session.
  * @throws Will propagate any errors from the persistence layer.
  */
 async function getSession(key) {
-    return await persistence.getSession(key)
+    const sessionData = await persistence.getSession(key)
+    if (sessionData && sessionData.userId) {
+        const user = await persistence.getUserById(sessionData.userId)
+        if (!user || user.isSuspended) {
+            await persistence.deleteSession(key)
+            return null
+        }
+        return { ...sessionData, isAdmin: user.role === "admin" }
+    }
+    return sessionData
 }
 
 
@@ -328,6 +556,50 @@ async function deleteSession(key) {
     return await persistence.deleteSession(key)
 }
 
+/**
+ * Counts a request against the per-IP and per-account buckets of one of the `rateLimits`.
+ * Each bucket counts requests in fixed windows of the limit's length, so a throttled client can try again
+ * once the current window ends. Buckets whose counter cannot be updated do not throttle.
+ *
+ * @async
+ * @function checkRateLimit
+ * @param {string} action - The name of the limit in `rateLimits`.
+ * @param {string} ip - The IP address the request comes from.
+ * @param {string|ObjectId} [account] - The email address or user ID the request is made for, if known.
+ * @returns {Object} An object containing `isValid` (boolean) and, when the request is over the limit,
+ * a `message` (string) and the `retryAfterSeconds` until the limit resets.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function checkRateLimit(action, ip, account) {
+    const limit = rateLimits[action]
+    const windowLength = limit.windowMinutes * 60 * 1000
+    const now = Date.now()
+    const windowStart = new Date(Math.floor(now / windowLength) * windowLength)
+    const windowEnd = new Date(windowStart.getTime() + windowLength)
+    const buckets = [{ key: `${action}:ip:${ip}`, maximum: limit.perIp }]
+    const accountKey = typeof account === "string" ? account.trim().toLowerCase() : account ? account.toString() : ""
+    if (accountKey) {
+        buckets.push({ key: `${action}:account:${accountKey}`, maximum: limit.perAccount })
+    }
+    let isThrottled = false
+    for (const bucket of buckets) {
+        const count = await persistence.incrementRateLimit(bucket.key, windowStart, windowEnd)
+        if (count !== null && count > bucket.maximum) {
+            isThrottled = true
+        }
+    }
+    if (!isThrottled) {
+        return { isValid: true }
+    }
+    const retryAfterSeconds = Math.ceil((windowEnd.getTime() - now) / 1000)
+    const minutes = Math.ceil(retryAfterSeconds / 60)
+    return {
+        isValid: false,
+        message: `${limit.message} Please try again in ${minutes} minute${minutes === 1 ? "" : "s"}.`,
+        retryAfterSeconds
+    }
+}
+
 /**
  * Stores a password reset key for a user in the database.
  *
@@ -434,16 +706,115 @@ async function updatePassword(email, newPassword) {
 }
 
 /**
- * Retrieves a list of users whose known languages match the learning languages of a given user.
+ * Scores a candidate partner for a user.
+ *
+ * @function scoreCandidate
+ * @param {Object} user - The user for whom recommendations are being built.
+ * @param {Object} candidate - The candidate partner.
+ * @returns {Object} The candidate with added `score`, `isMutual` and `matchReason` properties.
+ * @description The candidate earns 10 points for every language they can teach the user or learn from the user
+ * at a clearly higher level, and a bonus for recent activity. An exchange is mutual when both directions apply.
+ */
+function scoreCandidate(user, candidate) {
+    const canTeach = (teacherEntries, learnerEntry) => teacherEntries.find((entry) =>
+        entry.language === learnerEntry.language && getLevelsClearlyAbove(learnerEntry.level).includes(entry.level))
+
+    const teaches = (user.learningLanguages || []).map((learnerEntry) => canTeach(candidate.knownLanguages || [], learnerEntry)).filter(Boolean)
+    const learns = (candidate.learningLanguages || []).filter((learnerEntry) => canTeach(user.knownLanguages || [], learnerEntry))
+    const isMutual = teaches.length > 0 && learns.length > 0
+
+    let score = 10 * (teaches.length + learns.length)
+    const reasons = []
+    if (isMutual) {
+        reasons.push("Mutual exchange")
+    }
+    reasons.push(`Speaks ${teaches.map((entry) => `${entry.language} (${entry.level})`).join(", ")}`)
+    if (learns.length > 0) {
+        reasons.push(`learning ${learns.map((entry) => entry.language).join(", ")}`)
+    }
+
+    if (candidate.lastActiveAt) {
+        const daysSinceActive = (Date.now() - new Date(candidate.lastActiveAt).getTime()) / (24 * 60 * 60 * 1000)
+        const activity = recentActivityBonuses.find((rule) => daysSinceActive <= rule.withinDays)
+        if (activity) {
+            score += activity.bonus
+            reasons.push(activity.label)
+        }
+    }
+
+    return { ...candidate, score, isMutual, matchReason: reasons.join(" · ") }
+}
+
+/**
+ * Clamps a requested page number to the available pages.
+ *
+ * @function clampPage
+ * @param {number} page - The requested page number (1-based).
+ * @param {number} totalItems - The total number of items being paginated.
+ * @param {number} [itemsPerPage=usersPerPage] - The number of items on each page.
+ * @returns {Object} An object containing the clamped `page` and `totalPages` (at least 1).
+ */
+function clampPage(page, totalItems, itemsPerPage = usersPerPage) {
+    const totalPages = Math.max(Math.ceil(totalItems / itemsPerPage), 1)
+    const currentPage = Math.min(Math.max(Number.isInteger(page) ? page : 1, 1), totalPages)
+    return { page: currentPage, totalPages }
+}
+
+/**
+ * Retrieves one page of ranked partner recommendations for a user.
+ *
+ * @async
+ * @function getRecommendations
+ * @param {string} userId - The ID of the user for whom recommendations are to be built.
+ * @param {number} [page=1] - The page of recommendations to return (1-based).
+ * @returns {Object} An object containing `users` (scored user objects, mutual exchanges first and then by descending score), `page` and `totalPages`.
+ * @throws Will propagate any errors from the persistence layer.
+ * @description Candidates must know one of the user's learning languages at a clearly higher level.
+ * Users blocked by the user, users who blocked the user and existing contacts are left out.
+ */
+async function getRecommendations(userId, page = 1) {
+    const user = await persistence.getUserById(userId)
+    if (!user) {
+        return { users: [], page: 1, totalPages: 1 }
+    }
+    const targets = (user.learningLanguages || []).map((entry) => ({
+        language: entry.language,
+        levels: getLevelsClearlyAbove(entry.level)
+    }))
+    const excludedIds = [...(user.contacts || []), ...(user.blockedContacts || [])].map((id) => id.toString())
+
+    const candidates = await persistence.getMatchingUsers(userId, targets, excludedIds)
+    const recommendations = candidates.map((candidate) => scoreCandidate(user, candidate))
+    recommendations.sort((a, b) => (b.isMutual - a.isMutual) || (b.score - a.score))
+
+    const pagination = clampPage(page, recommendations.length)
+    const start = (pagination.page - 1) * usersPerPage
+    return { users: recommendations.slice(start, start + usersPerPage), ...pagination }
+}
+
+/**
+ * Searches other users by username prefix, known language and learning language.
  *
  * @async
- * @function getMatchingUsers
- * @param {string} userId - The ID of the user for whom matching users are to be found.
- * @returns {Array<Object>} An array of matching user objects.
+ * @function searchUsers
+ * @param {string} userId - The ID of the user performing the search.
+ * @param {Object} filters - The search filters: `username` (prefix), `knownLanguage` and `learningLanguage`. Empty filters are ignored.
+ * @param {number} [page=1] - The page of results to return (1-based).
+ * @returns {Object} An object containing `users` (sorted by username), `page` and `totalPages`.
  * @throws Will propagate any errors from the persistence layer.
+ * @description Users blocked by the searching user and users who blocked the searching user are left out.
  */
-async function getMatchingUsers(userId) {
-    return await persistence.getMatchingUsers(userId)
+async function searchUsers(userId, filters, page = 1) {
+    const user = await persistence.getUserById(userId)
+    if (!user) {
+        return { users: [], page: 1, totalPages: 1 }
+    }
+    const excludedIds = (user.blockedContacts || []).map((id) => id.toString())
+
+    const totalUsers = await persistence.countUsers(userId, filters, excludedIds)
+    const pagination = clampPage(page, totalUsers)
+    const results = await persistence.searchUsers(userId, filters, excludedIds, (pagination.page - 1) * usersPerPage, usersPerPage)
+    return { users: results, ...pagination }
 }
 
 /**
@@ -460,30 +831,118 @@ async function getContacts(userId) {
 }
 
 /**
- * Adds a contact to a user's contact list in the database.
+ * Sends a contact request from one user to another.
+ *
+ * @async
+ * @function sendContactRequest
+ * @param {string} senderId - The ID of the user sending the request.
+ * @param {string} receiverId - The ID of the user receiving the request.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer or the block check.
+ * @description The request is rejected if the receiver does not exist, has blocked the sender, is already a contact,
+ * or if a request between the two users is already pending in either direction.
+ */
+async function sendContactRequest(senderId, receiverId) {
+    if (senderId.toString() === receiverId.toString()) {
+        return { isValid: false, message: "You cannot send a contact request to yourself." }
+    }
+    const sender = await persistence.getUserById(senderId)
+    const receiver = await persistence.getUserById(receiverId)
+    if (!sender || !receiver) {
+        return { isValid: false, message: "User not found." }
+    }
+    if (await isBlocked(senderId, receiverId)) {
+        return { isValid: false, message: "You cannot send a contact request to this user." }
+    }
+    if ((sender.contacts || []).some((id) => id.toString() === receiverId.toString())) {
+        return { isValid: false, message: `${receiver.username} is already in your contacts.` }
+    }
+    if (await persistence.getPendingContactRequest(senderId, receiverId)) {
+        return { isValid: false, message: `You have already sent a contact request to ${receiver.username}.` }
+    }
+    if (await persistence.getPendingContactRequest(receiverId, senderId)) {
+        return { isValid: false, message: `${receiver.username} has already sent you a contact request. You can accept it from My Contacts.` }
+    }
+    await persistence.createContactRequest(senderId, receiverId)
+    return { isValid: true, message: `Contact request sent to ${receiver.username}.` }
+}
+
+/**
+ * Retrieves the pending contact requests of a user.
+ *
+ * @async
+ * @function getPendingContactRequests
+ * @param {string} userId - The ID of the user whose requests are to be retrieved.
+ * @returns {Object} An object containing `incoming` and `outgoing` arrays of requests, each with an `otherUser` property.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getPendingContactRequests(userId) {
+    return {
+        incoming: await persistence.getPendingContactRequests(userId, "incoming"),
+        outgoing: await persistence.getPendingContactRequests(userId, "outgoing")
+    }
+}
+
+/**
+ * Responds to a pending contact request on behalf of one of its participants.
  *
  * @async
- * @function addContact
- * @param {string} userId - The ID of the user who is adding the contact.
- * @param {string} contactId - The ID of the contact to be added.
+ * @function respondToContactRequest
+ * @param {string} userId - The ID of the user responding to the request.
+ * @param {string} requestId - The ID of the contact request.
+ * @param {string} action - "accept" or "decline" (receiver only), or "cancel" (sender only).
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
  * @throws Will propagate any errors from the persistence layer.
+ * @description Accepting a request adds each user to the other's contact list, making the contact mutual.
  */
-async function addContact(userId, contactId) {
-    await persistence.addContact(userId, contactId);
+async function respondToContactRequest(userId, requestId, action) {
+    const request = await persistence.getContactRequestById(requestId)
+    if (!request || request.status !== "pending") {
+        return { isValid: false, message: "This contact request is no longer pending." }
+    }
+    const isReceiver = request.receiverId.toString() === userId.toString()
+    const isSender = request.senderId.toString() === userId.toString()
+
+    if (action === "accept" && isReceiver) {
+        if (await isBlocked(userId, request.senderId)) {
+            return { isValid: false, message: "You cannot accept this contact request." }
+        }
+        if (!await persistence.updateContactRequestStatus(requestId, "accepted")) {
+            return { isValid: false, message: "This contact request is no longer pending." }
+        }
+        await persistence.addContact(request.senderId.toString(), request.receiverId.toString())
+        await persistence.addContact(request.receiverId.toString(), request.senderId.toString())
+        return { isValid: true, message: "Contact request accepted." }
+    }
+    if (action === "decline" && isReceiver) {
+        if (!await persistence.updateContactRequestStatus(requestId, "declined")) {
+            return { isValid: false, message: "This contact request is no longer pending." }
+        }
+        return { isValid: true, message: "Contact request declined." }
+    }
+    if (action === "cancel" && isSender) {
+        if (!await persistence.updateContactRequestStatus(requestId, "cancelled")) {
+            return { isValid: false, message: "This contact request is no longer pending." }
+        }
+        return { isValid: true, message: "Contact request cancelled." }
+    }
+    return { isValid: false, message: "You are not allowed to perform this action." }
 }
 
 /**
- * Removes a contact from a user's contact list in the database.
+ * Removes a contact from both users' contact lists in the database.
  *
  * @async
  * @function removeContact
  * @param {string} userId - The ID of the user from whose contact list the contact is to be removed.
  * @param {string} contactId - The ID of the contact to be removed.
  * @throws Will propagate any errors from the persistence layer.
+ * @description Contacts are mutual, so the user is also removed from the contact's list.
  */
 
 async function removeContact(userId, contactId) {
     await persistence.removeContact(userId, contactId)
+    await persistence.removeContact(contactId, userId.toString())
 }
 
 /**
@@ -542,10 +1001,43 @@ async function getProfile(userId) {
         username: user.username,
         email: user.email,
         profilePicture: user.profilePicturePath || "/profilePictures/defaultProfilePicture.jpg",
+        knownLanguages: user.knownLanguages || [],
+        learningLanguages: user.learningLanguages || [],
         badges: badges || []
     }
 }
 
+/**
+ * Updates the editable profile fields of a user.
+ *
+ * @async
+ * @function updateProfile
+ * @param {string} userId - The ID of the user whose profile is being updated.
+ * @param {string} username - The new username of the user.
+ * @param {Array<Object>} knownLanguages - A list of `{ language, level }` entries for the languages the user knows.
+ * @param {Array<Object>} learningLanguages - A list of `{ language, level }` entries for the languages the user is learning.
+ * @param {string|null} profilePicturePath - The file path to the new profile picture, or `null` to keep the current one.
+ * @returns {string|null} The path of the profile picture that was replaced, or `null` if the picture was not changed.
+ * @throws Will throw an error if the user is not found.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function updateProfile(userId, username, knownLanguages, learningLanguages, profilePicturePath) {
+    const user = await persistence.getUserById(userId)
+    if (!user) {
+        throw new Error("User not found.")
+    }
+    const updates = {
+        username: username,
+        knownLanguages: knownLanguages,
+        learningLanguages: learningLanguages
+    }
+    if (profilePicturePath) {
+        updates.profilePicturePath = profilePicturePath
+    }
+    await persistence.updateUserField(user.email, updates)
+    return profilePicturePath ? user.profilePicturePath || null : null
+}
+
 /**
  * Checks if a user is blocked by another user.
  *
@@ -596,111 +1088,2077 @@ async function getUserBadges(userId) {
 }
 
 /**
- * Checks if a user has received a reply in a conversation with another user.
+ * Retrieves the distinct days on which a user sent at least one message, counted in the user's time zone.
  *
  * @async
- * @function hasReceivedReply
- * @param {string} senderId - The ID of the user who sent the initial message.
- * @param {string} receiverId - The ID of the user who is expected to reply.
- * @returns {boolean} `true` if the sender has received a reply from the receiver, `false` otherwise.
- * @throws Will propagate any errors from the `getConversation` function or persistence layer.
+ * @function getActiveDays
+ * @param {string} userId - The ID of the user.
+ * @param {Date|null} since - Only messages sent from this time on are considered, or all messages if `null`.
+ * @returns {Array<string>} The active days as YYYY-MM-DD strings, in ascending order.
+ * @throws Will propagate any errors from the persistence layer.
  */
+async function getActiveDays(userId, since) {
+    const user = await persistence.getUserById(userId)
+    return await persistence.getActiveDays(userId, since, getUserTimeZone(user))
+}
 
-async function hasReceivedReply(senderId, receiverId) {
-    const convo = await getConversation(senderId, receiverId)
-    if (convo.length >= 2) {
-        for (let i = 0; i < convo.length - 1; i++) {
-            const currentMessage = convo[i]
-            const nextMessage = convo[i + 1]
+/**
+ * Computes the longest run of consecutive days in a list of days.
+ *
+ * @function getLongestStreak
+ * @param {Array<string>} days - Distinct days as YYYY-MM-DD strings, in ascending order.
+ * @returns {number} The length of the longest run of consecutive days.
+ */
+function getLongestStreak(days) {
+    let longest = 0
+    let current = 0
+    let previous = null
+    for (const day of days) {
+        const time = Date.parse(`${day}T00:00:00Z`)
+        current = previous !== null && time - previous === 24 * 60 * 60 * 1000 ? current + 1 : 1
+        longest = Math.max(longest, current)
+        previous = time
+    }
+    return longest
+}
 
-            if (
-                currentMessage.senderId.toString() === senderId.toString() &&
-                currentMessage.receiverId.toString() === receiverId.toString() &&
-                nextMessage.senderId.toString() === receiverId.toString() &&
-                nextMessage.receiverId.toString() === senderId.toString()
-            ) {
-                return true
+/**
+ * Counts the languages a user has conversed in: languages known or learned by both the user and
+ * at least one of their conversation partners.
+ *
+ * @async
+ * @function countLanguagesPracticed
+ * @param {string} userId - The ID of the user.
+ * @param {Date|null} since - Only conversations from this time on are considered, or all conversations if `null`.
+ * @returns {number} The number of distinct languages.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function countLanguagesPracticed(userId, since) {
+    const user = await persistence.getUserById(userId)
+    if (!user) {
+        return 0
+    }
+    const languagesOf = (person) => [...(person.knownLanguages || []), ...(person.learningLanguages || [])]
+        .map((entry) => entry.language)
+    const userLanguages = new Set(languagesOf(user))
+    const practiced = new Set()
+    for (const partner of await persistence.getConversationPartners(userId, since)) {
+        for (const language of languagesOf(partner)) {
+            if (userLanguages.has(language)) {
+                practiced.add(language)
             }
         }
     }
-    return false
+    return practiced.size
+}
+
+/**
+ * The metrics badge criteria can be based on, with the unit shown in progress bars. Each metric counts something
+ * about a user from a given time on (or over all time when the time is `null`).
+ */
+const badgeMetrics = {
+    messagesSent: { unit: "messages", count: persistence.countMessagesSent },
+    distinctPartners: { unit: "partners", count: persistence.countDistinctPartners },
+    repliesReceived: { unit: "replies", count: persistence.countRepliesReceived },
+    daysActive: { unit: "days", count: async (userId, since) => (await getActiveDays(userId, since)).length },
+    longestStreak: { unit: "days in a row", count: async (userId, since) => getLongestStreak(await getActiveDays(userId, since)) },
+    languagesPracticed: { unit: "languages", count: countLanguagesPracticed },
+    learnersHelped: { unit: "learners", count: persistence.countLearnersHelped }
+}
+
+/**
+ * The comparators badge criteria can use to compare a metric with their threshold.
+ */
+const badgeComparators = {
+    gte: (value, threshold) => value >= threshold,
+    gt: (value, threshold) => value > threshold,
+    eq: (value, threshold) => value === threshold,
+    lte: (value, threshold) => value <= threshold,
+    lt: (value, threshold) => value < threshold
 }
 
 /**
- * Awards badges to a user based on predefined rules and conditions.
+ * Creates the default badges and gives existing badges without a criterion their default one.
  *
  * @async
- * @function awardBadge
- * @param {string} senderId - The ID of the user who may be eligible for badges.
- * @param {string} receiverId - The ID of the user involved in the badge eligibility check (e.g., for a conversation-based badge).
- * @throws Will propagate any errors from the persistence layer or eligibility checks.
- * @description This function checks badge eligibility for the sender based on predefined rules, 
- * such as having a first conversation or sending 100 messages. If eligible, the badge is awarded.
+ * @function initializeBadges
+ * @throws Will propagate any errors from the persistence layer.
  */
+async function initializeBadges() {
+    await persistence.initializeBadges()
+}
 
-async function awardBadge(senderId, receiverId) {
-    const allBadges = await persistence.getAllBadges()
-    const userMessages = await persistence.getUserMessages(senderId)
-    const badgeRules = {
-        "First Conversation": async () => {
-            return await hasReceivedReply(senderId, receiverId)
-        },
-        "100 Messages Sent": async () => {
-            return userMessages.length >= 100
-        }
-    }
-
-    for (const badge of allBadges) {
-        const userBadges = await persistence.getUserBadges(senderId)
-        if (userBadges.some(b => b.name === badge.name)) continue
+/**
+ * Checks that a badge criterion uses a supported metric and comparator, a numeric threshold and a valid time window.
+ *
+ * @function isValidBadgeCriterion
+ * @param {Object} criterion - The `criterion` of a badge document.
+ * @returns {boolean} `true` if the engine can evaluate the criterion, `false` otherwise.
+ */
+function isValidBadgeCriterion(criterion) {
+    return (
+        !!criterion &&
+        Object.hasOwn(badgeMetrics, criterion.metric) &&
+        Object.hasOwn(badgeComparators, criterion.comparator) &&
+        typeof criterion.threshold === "number" &&
+        (criterion.windowDays === undefined || criterion.windowDays === null ||
+            (Number.isInteger(criterion.windowDays) && criterion.windowDays > 0))
+    )
+}
 
-        const isEligible = await badgeRules[badge.name]?.()
-        if (isEligible) {
-            await persistence.awardBadge(senderId, badge)
-        }
+/**
+ * Computes the metric of a badge criterion for a user over the criterion's time window.
+ *
+ * @async
+ * @function getBadgeMetricValue
+ * @param {string} userId - The ID of the user.
+ * @param {Object} criterion - A valid badge criterion.
+ * @param {Map} cache - Values already computed during the same evaluation, keyed by metric and window.
+ * @returns {number} The value of the metric.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getBadgeMetricValue(userId, criterion, cache) {
+    const key = `${criterion.metric}:${criterion.windowDays || "all"}`
+    if (!cache.has(key)) {
+        const since = criterion.windowDays ? new Date(Date.now() - criterion.windowDays * 24 * 60 * 60 * 1000) : null
+        cache.set(key, await badgeMetrics[criterion.metric].count(userId, since))
     }
+    return cache.get(key)
 }
 
 /**
- * Sends a message from one user to another.
+ * Evaluates the criteria of every badge the user has not earned yet and awards those that are met.
+ * Badges are defined entirely in the database, so adding a badge does not require code changes
+ * as long as it uses a supported metric and comparator. Badges revoked by an admin are not awarded again.
  *
  * @async
- * @function sendMessage
- * @param {string} senderId - The ID of the user sending the message.
- * @param {string} receiverId - The ID of the user receiving the message.
- * @param {string} message - The content of the message.
- * @returns {Object} The result of the save operation.
+ * @function evaluateBadges
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} The badges awarded during this evaluation.
  * @throws Will propagate any errors from the persistence layer.
  */
+async function evaluateBadges(userId) {
+    const allBadges = await persistence.getAllBadges()
+    const userBadges = await persistence.getUserBadges(userId)
+    const user = await persistence.getUserById(userId)
+    const revokedBadges = (user && user.revokedBadges) || []
+    const cache = new Map()
+    const awarded = []
 
-async function sendMessage(senderId, receiverId, message) {
-    return await persistence.saveMessage(senderId, receiverId, message)
+    for (const badge of allBadges) {
+        if (userBadges.some((earned) => earned.name === badge.name) || revokedBadges.includes(badge.name)) {
+            continue
+        }
+        if (!isValidBadgeCriterion(badge.criterion)) {
+            console.error(`Badge "${badge.name}" has an unsupported criterion and was skipped.`)
+            continue
+        }
+        const value = await getBadgeMetricValue(userId, badge.criterion, cache)
+        if (badgeComparators[badge.criterion.comparator](value, badge.criterion.threshold)) {
+            await persistence.awardBadge(userId, {
+                name: badge.name,
+                description: badge.description,
+                imageUrl: badge.imageUrl,
+                icon: badge.icon
+            })
+            awarded.push(badge)
+        }
+    }
+    return awarded
 }
 
 /**
- * Retrieves the conversation between two users.
+ * Lists every badge with the user's progress towards it, earned badges first.
  *
  * @async
- * @function getConversation
- * @param {string} userId1 - The ID of the first user in the conversation.
- * @param {string} userId2 - The ID of the second user in the conversation.
- * @returns {Array<Object>} An array of messages exchanged between the two users.
+ * @function getBadgeProgress
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} The badges, each with `isEarned`, `earnedAt`, `isRevoked` (set for badges revoked by an admin,
+ * which cannot be earned again) and, for other unearned badges whose criterion counts up to a threshold,
+ * the current `value`, the `threshold`, the `unit` and the `percent` achieved.
  * @throws Will propagate any errors from the persistence layer.
  */
-async function getConversation(userId1, userId2) {
-    return await persistence.getConversation(userId1, userId2)
+async function getBadgeProgress(userId) {
+    const allBadges = await persistence.getAllBadges()
+    const userBadges = await persistence.getUserBadges(userId)
+    const user = await persistence.getUserById(userId)
+    const revokedBadges = (user && user.revokedBadges) || []
+    const cache = new Map()
+    const progress = []
+
+    for (const badge of allBadges) {
+        const earned = userBadges.find((userBadge) => userBadge.name === badge.name)
+        const entry = {
+            name: badge.name,
+            description: badge.description,
+            imageUrl: badge.imageUrl,
+            icon: badge.icon,
+            isEarned: !!earned,
+            earnedAt: earned ? earned.timestamp : null,
+            isRevoked: !earned && revokedBadges.includes(badge.name)
+        }
+        const criterion = badge.criterion
+        if (!earned && !entry.isRevoked && isValidBadgeCriterion(criterion) && ["gte", "gt"].includes(criterion.comparator) && criterion.threshold > 0) {
+            const value = await getBadgeMetricValue(userId, criterion, cache)
+            entry.value = Math.min(value, criterion.threshold)
+            entry.threshold = criterion.threshold
+            entry.unit = badgeMetrics[criterion.metric].unit
+            entry.percent = Math.floor((entry.value / criterion.threshold) * 100)
+        }
+        progress.push(entry)
+    }
+    return progress.sort((a, b) => Number(b.isEarned) - Number(a.isEarned))
 }
 
+/**
+ * The metrics users can be ranked by on leaderboards, with the label and unit shown on the leaderboard.
+ */
+const leaderboardMetrics = {
+    messages: { label: "Messages sent", unit: "messages" },
+    badges: { label: "Badges earned", unit: "badges" },
+    partners: { label: "Distinct partners", unit: "partners" }
+}
 
 /**
- * Generates a CSRF token and associates it with a session.
+ * The leaderboard periods, as the number of past days counted (or `null` for all time).
+ */
+const leaderboardPeriods = {
+    weekly: { label: "Weekly", windowDays: 7 },
+    monthly: { label: "Monthly", windowDays: 30 },
+    allTime: { label: "All time", windowDays: null }
+}
+const leaderboardSize = 50
+
+/**
+ * Ranks the most active users by messages sent, badges earned or distinct partners over a period,
+ * optionally only among the users who know or are learning a language.
  *
  * @async
- * @function generateFormToken
- * @param {string} key - The session key associated with the user.
- * @returns {string} The generated CSRF token.
+ * @function getLeaderboard
+ * @param {string} userId - The ID of the user viewing the leaderboard.
+ * @param {Object} filters - The leaderboard filters: `metric` (a key of `leaderboardMetrics`),
+ * `period` (a key of `leaderboardPeriods`) and `language` (one of the supported languages, or empty for all).
+ * Unknown values fall back to messages sent, weekly and all languages.
+ * @returns {Object} An object containing the `metric`, `period` and `language` used, and the ranked `entries`,
+ * each with a `rank` (tied counts share a rank), `username`, `profilePicturePath`, `count` and `isCurrentUser`.
  * @throws Will propagate any errors from the persistence layer.
- * @description This function creates a CSRF token, stores it in the session data, and returns the token.
+ */
+async function getLeaderboard(userId, filters) {
+    const metric = Object.hasOwn(leaderboardMetrics, filters.metric) ? filters.metric : "messages"
+    const period = Object.hasOwn(leaderboardPeriods, filters.period) ? filters.period : "weekly"
+    const language = supportedLanguages.includes(filters.language) ? filters.language : ""
+    const windowDays = leaderboardPeriods[period].windowDays
+    const since = windowDays ? new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000) : null
+
+    const rows = await persistence.getLeaderboard(metric, since, language, leaderboardSize)
+    let rank = 0
+    const entries = rows.map((row, index) => {
+        if (index === 0 || rows[index - 1].count !== row.count) {
+            rank = index + 1
+        }
+        return {
+            rank,
+            _id: row._id.toString(),
+            username: row.username,
+            profilePicturePath: row.profilePicturePath,
+            count: row.count,
+            isCurrentUser: row._id.toString() === userId.toString()
+        }
+    })
+    return { metric, period, language, entries }
+}
+
+/**
+ * Retrieves a user's privacy settings.
+ *
+ * @async
+ * @function getPrivacySettings
+ * @param {string} userId - The ID of the user.
+ * @returns {Object} The settings: `leaderboardOptOut` (boolean), `true` if the user is hidden from leaderboards.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getPrivacySettings(userId) {
+    const user = await persistence.getUserById(userId)
+    return { leaderboardOptOut: !!(user && user.leaderboardOptOut) }
+}
+
+/**
+ * Updates a user's privacy settings.
+ *
+ * @async
+ * @function updatePrivacySettings
+ * @param {string} userId - The ID of the user.
+ * @param {Object} settings - The new settings: `leaderboardOptOut` (boolean).
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function updatePrivacySettings(userId, settings) {
+    const user = await persistence.getUserById(userId)
+    if (!user) {
+        return { isValid: false, message: "User not found." }
+    }
+    await persistence.updateUserField(user.email, { leaderboardOptOut: !!settings.leaderboardOptOut })
+    return { isValid: true, message: "Your privacy settings have been saved." }
+}
+
+/**
+ * Notifies the subscribers of a conversation about something that happened in it.
+ *
+ * @function publishConversationEvent
+ * @param {string} type - The type of event (e.g., "message", "read").
+ * @param {string} userId1 - The ID of the first user in the conversation.
+ * @param {string} userId2 - The ID of the second user in the conversation.
+ * @param {Object} data - The event data passed to the subscribers.
+ */
+function publishConversationEvent(type, userId1, userId2, data) {
+    messageEvents.emit("conversation", {
+        type: type,
+        participants: [userId1.toString(), userId2.toString()],
+        data: data
+    })
+}
+
+const maximumDailyGoal = 500
+const supportedTimeZones = ["UTC", ...Intl.supportedValuesOf("timeZone").filter((timeZone) => timeZone !== "UTC")]
+
+/**
+ * Checks if a time zone is a valid IANA time zone name.
+ *
+ * @function isValidTimeZone
+ * @param {string} timeZone - The time zone to check (e.g., "Asia/Qatar").
+ * @returns {boolean} `true` if the time zone is valid, otherwise `false`.
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || !timeZone) {
+        return false
+    }
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone })
+        return true
+    } catch (error) {
+        return false
+    }
+}
+
+/**
+ * Retrieves the time zone a user's days are counted in.
+ *
+ * @function getUserTimeZone
+ * @param {Object|null} user - The user document.
+ * @returns {string} The user's time zone, or "UTC" if none was set.
+ */
+function getUserTimeZone(user) {
+    return user && isValidTimeZone(user.timeZone) ? user.timeZone : "UTC"
+}
+
+/**
+ * Formats the day a moment falls on in a time zone.
+ *
+ * @function getLocalDay
+ * @param {Date} date - The moment.
+ * @param {string} timeZone - The IANA time zone.
+ * @returns {string} The day as a YYYY-MM-DD string.
+ */
+function getLocalDay(date, timeZone) {
+    return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date)
+}
+
+/**
+ * Computes the day before a day.
+ *
+ * @function getPreviousDay
+ * @param {string} day - The day as a YYYY-MM-DD string.
+ * @returns {string} The previous day as a YYYY-MM-DD string.
+ */
+function getPreviousDay(day) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().slice(0, 10)
+}
+
+/**
+ * Computes the moment a day starts in a time zone.
+ *
+ * @function getStartOfLocalDay
+ * @param {string} day - The day as a YYYY-MM-DD string.
+ * @param {string} timeZone - The IANA time zone.
+ * @returns {Date} The first millisecond of the day in the time zone.
+ */
+function getStartOfLocalDay(day, timeZone) {
+    const utcMidnight = Date.parse(`${day}T00:00:00Z`)
+    const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+        timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", second: "2-digit"
+    }).formatToParts(utcMidnight).map((part) => [part.type, part.value]))
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - utcMidnight
+    return new Date(utcMidnight - offset)
+}
+
+/**
+ * Chooses the language a message between two users practices: a language the sender is learning that the
+ * receiver knows or is learning too, otherwise a language the sender knows that the receiver is learning.
+ *
+ * @function getConversationLanguage
+ * @param {Object} sender - The sending user's document.
+ * @param {Object} receiver - The receiving user's document.
+ * @returns {string|null} The language, or `null` if the users have no language in common.
+ */
+function getConversationLanguage(sender, receiver) {
+    const languagesOf = (entries) => (entries || []).map((entry) => entry.language)
+    const receiverLanguages = [...languagesOf(receiver.knownLanguages), ...languagesOf(receiver.learningLanguages)]
+    const practiced = languagesOf(sender.learningLanguages).find((language) => receiverLanguages.includes(language))
+    if (practiced) {
+        return practiced
+    }
+    const taught = languagesOf(sender.knownLanguages)
+        .find((language) => languagesOf(receiver.learningLanguages).includes(language))
+    return taught || null
+}
+
+/**
+ * Checks if a day's practice meets a user's daily goals. Users without goals meet them by sending any message.
+ *
+ * @function areDailyGoalsMet
+ * @param {Array<Object>} goals - The user's `{ language, target }` daily goals.
+ * @param {Object|null} progress - The day's progress, with the `total` messages sent and the `counts` per language.
+ * @returns {boolean} `true` if every goal is met, otherwise `false`.
+ */
+function areDailyGoalsMet(goals, progress) {
+    if (!progress) {
+        return false
+    }
+    if (goals.length === 0) {
+        return progress.total > 0
+    }
+    const counts = progress.counts || {}
+    return goals.every((goal) => (counts[goal.language] || 0) >= goal.target)
+}
+
+/**
+ * Counts a sent message towards the sender's daily goals and extends their streak the first time
+ * the goals are met on a day. Days are counted in the sender's time zone.
+ *
+ * @async
+ * @function recordPractice
+ * @param {Object} sender - The sending user's document.
+ * @param {Object} message - The saved message, with its `language` and `timestamp`.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function recordPractice(sender, message) {
+    const day = getLocalDay(message.timestamp, getUserTimeZone(sender))
+    const progress = await persistence.recordDailyProgress(sender._id, day, message.language)
+    if (!areDailyGoalsMet(sender.dailyGoals || [], progress)) {
+        return
+    }
+    await persistence.extendStreak(sender._id, day, getPreviousDay(day))
+}
+
+/**
+ * Summarizes a user's daily goals, today's progress towards them and their practice streaks.
+ * "Today" is the current day in the user's time zone.
+ *
+ * @async
+ * @function getPracticeSummary
+ * @param {string} userId - The ID of the user.
+ * @returns {Object} An object containing the `timeZone` (and `hasTimeZone`, `false` while the default UTC is used),
+ * the `goals` (each with `language`, `target`, today's `count`,
+ * `percent` and `isMet`), `isGoalMet` for the whole day, the `currentStreak` (0 once a day is missed) and the `longestStreak`.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getPracticeSummary(userId) {
+    const user = await persistence.getUserById(userId)
+    if (!user) {
+        throw new Error("User not found.")
+    }
+    const timeZone = getUserTimeZone(user)
+    const today = getLocalDay(new Date(), timeZone)
+    const progress = await persistence.getDailyProgress(userId, today)
+    const counts = (progress && progress.counts) || {}
+    const goals = (user.dailyGoals || []).map((goal) => {
+        const count = counts[goal.language] || 0
+        return {
+            language: goal.language,
+            target: goal.target,
+            count,
+            percent: Math.min(100, Math.round((count / goal.target) * 100)),
+            isMet: count >= goal.target
+        }
+    })
+    const streak = user.streak || { current: 0, longest: 0, lastDay: null }
+    const isStreakActive = streak.lastDay === today || streak.lastDay === getPreviousDay(today)
+    return {
+        timeZone,
+        hasTimeZone: isValidTimeZone(user.timeZone),
+        goals,
+        isGoalMet: areDailyGoalsMet(user.dailyGoals || [], progress),
+        currentStreak: isStreakActive ? streak.current : 0,
+        longestStreak: streak.longest
+    }
+}
+
+/**
+ * Sets a user's daily goals and the time zone their days are counted in.
+ *
+ * @async
+ * @function updateDailyGoals
+ * @param {string} userId - The ID of the user.
+ * @param {Array<Object>} goals - The `{ language, target }` goals, one per language the user is learning.
+ * Goals with a target of 0 are removed.
+ * @param {string} timeZone - The user's IANA time zone (e.g., "Asia/Qatar").
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function updateDailyGoals(userId, goals, timeZone) {
+    const user = await persistence.getUserById(userId)
+    if (!user) {
+        return { isValid: false, message: "User not found." }
+    }
+    if (!isValidTimeZone(timeZone)) {
+        return { isValid: false, message: "Please choose a valid time zone." }
+    }
+    const learningLanguages = (user.learningLanguages || []).map((entry) => entry.language)
+    const dailyGoals = []
+    for (const goal of goals) {
+        if (!learningLanguages.includes(goal.language)) {
+            return { isValid: false, message: "You can only set goals for languages you are learning." }
+        }
+        if (!Number.isInteger(goal.target) || goal.target < 0 || goal.target > maximumDailyGoal) {
+            return { isValid: false, message: `Daily goals must be whole numbers between 0 and ${maximumDailyGoal}.` }
+        }
+        if (goal.target > 0) {
+            dailyGoals.push({ language: goal.language, target: goal.target })
+        }
+    }
+    await persistence.updateUserField(user.email, { dailyGoals, timeZone })
+    return { isValid: true, message: "Your daily goals have been saved." }
+}
+
+/**
+ * Builds the pattern of each language's wordlist in `profanity.json`.
+ * Chinese and Japanese words are matched anywhere in the text, since those languages are not written with spaces
+ * between words. Words of the other languages only match as whole words, except that Korean words may be followed
+ * by one of the `koreanParticles`.
+ *
+ * @function createProfanityPatterns
+ * @returns {Map<string, RegExp>} The pattern of each language.
+ */
+function createProfanityPatterns() {
+    const wordlists = require("./profanity.json")
+    const patterns = new Map()
+    for (const [language, words] of Object.entries(wordlists)) {
+        const alternatives = [...words]
+            .sort((a, b) => b.length - a.length)
+            .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+            .join("|")
+        const suffix = language === "Korean" ? `(?:${koreanParticles.join("|")})?` : ""
+        const pattern = ["Chinese", "Japanese"].includes(language)
+            ? `(?:${alternatives})`
+            : `(?<![\\p{L}\\p{M}\\p{N}])(?:${alternatives})(?=${suffix}(?![\\p{L}\\p{M}\\p{N}]))`
+        patterns.set(language, new RegExp(pattern, "giu"))
+    }
+    return patterns
+}
+
+const profanityPatterns = createProfanityPatterns()
+
+/**
+ * Rejects messages that are empty or only contain whitespace, and trims the others.
+ *
+ * @function rejectBlankMessages
+ * @param {Object} context - The message being checked, with its `text`.
+ * @returns {Object} An object containing `isValid` (boolean) and either the trimmed `text` or an error `message`.
+ */
+function rejectBlankMessages(context) {
+    const text = typeof context.text === "string" ? context.text.trim() : ""
+    if (!text) {
+        return { isValid: false, message: "Message cannot be empty." }
+    }
+    return { isValid: true, text }
+}
+
+/**
+ * Rejects messages longer than `maxMessageLength` characters.
+ *
+ * @function rejectLongMessages
+ * @param {Object} context - The message being checked, with its `text`.
+ * @returns {Object} An object containing `isValid` (boolean) and either the `text` or an error `message`.
+ */
+function rejectLongMessages(context) {
+    if ([...context.text].length > maxMessageLength) {
+        return { isValid: false, message: `Messages can be at most ${maxMessageLength} characters long.` }
+    }
+    return { isValid: true, text: context.text }
+}
+
+/**
+ * Masks or rejects profanity, depending on the `PROFANITY_FILTER` environment variable ("mask", "reject" or "off").
+ * The wordlist of the language the message practices is used, or every wordlist if that language is not known.
+ *
+ * @function filterProfanity
+ * @param {Object} context - The message being checked, with its `text` and `language`.
+ * @returns {Object} An object containing `isValid` (boolean) and either the filtered `text` or an error `message`.
+ */
+function filterProfanity(context) {
+    if (profanityFilterMode === "off") {
+        return { isValid: true, text: context.text }
+    }
+    const patterns = profanityPatterns.has(context.language)
+        ? [profanityPatterns.get(context.language)]
+        : [...profanityPatterns.values()]
+    let text = context.text
+    for (const pattern of patterns) {
+        if (profanityFilterMode === "reject" && text.search(pattern) !== -1) {
+            return { isValid: false, message: "Your message contains language that is not allowed. Please rephrase it." }
+        }
+        text = text.replace(pattern, (word) => "*".repeat([...word].length))
+    }
+    return { isValid: true, text }
+}
+
+/**
+ * Rejects a new message if the sender has sent the same text to `bulkMessageRecipientLimit` other users
+ * within the last `bulkMessageWindowMinutes` minutes. Edits are not checked.
+ *
+ * @async
+ * @function rejectBulkMessages
+ * @param {Object} context - The message being checked, with its `text`, `senderId`, `receiverId` and `isEdit` flag.
+ * @returns {Object} An object containing `isValid` (boolean) and either the `text` or an error `message`.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function rejectBulkMessages(context) {
+    if (context.isEdit) {
+        return { isValid: true, text: context.text }
+    }
+    const since = new Date(Date.now() - bulkMessageWindowMinutes * 60 * 1000)
+    const recipients = await persistence.getRecipientsOfText(context.senderId, context.text, since)
+    const otherRecipients = recipients.filter((id) => id.toString() !== context.receiverId.toString())
+    if (otherRecipients.length >= bulkMessageRecipientLimit) {
+        return {
+            isValid: false,
+            message: "You have sent this message to too many people. Please write a personal message instead."
+        }
+    }
+    return { isValid: true, text: context.text }
+}
+
+const messagePolicies = [rejectBlankMessages, rejectLongMessages, filterProfanity, rejectBulkMessages]
+
+/**
+ * Runs the text of a message through each of the `messagePolicies` in turn, before it is saved.
+ *
+ * @async
+ * @function applyMessagePolicies
+ * @param {Object} context - The message: its `text`, the `senderId`, the `receiverId`, the `language` it practices
+ * and whether it `isEdit` of an existing message.
+ * @returns {Object} An object containing `isValid` (boolean) and either the `text` to save or the `message` of the
+ * first policy that rejected it.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function applyMessagePolicies(context) {
+    let text = context.text
+    for (const policy of messagePolicies) {
+        const result = await policy({ ...context, text })
+        if (!result.isValid) {
+            return result
+        }
+        text = result.text
+    }
+    return { isValid: true, text }
+}
+
+/**
+ * Sends a message from one user to another and notifies subscribers of the conversation.
+ * The message is tagged with the language it practices and counted towards the sender's daily goals.
+ * Its text must first pass the `messagePolicies`.
+ *
+ * @async
+ * @function sendMessage
+ * @param {string} senderId - The ID of the user sending the message.
+ * @param {string} receiverId - The ID of the user receiving the message.
+ * @param {string} message - The content of the message.
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success, the `savedMessage`.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function sendMessage(senderId, receiverId, message) {
+    const sender = await persistence.getUserById(senderId)
+    const receiver = await persistence.getUserById(receiverId)
+    const language = sender && receiver ? getConversationLanguage(sender, receiver) : null
+    const policyResult = await applyMessagePolicies({ senderId, receiverId, language, text: message, isEdit: false })
+    if (!policyResult.isValid) {
+        return policyResult
+    }
+    const savedMessage = await persistence.saveMessage(senderId, receiverId, policyResult.text, language)
+    if (!savedMessage) {
+        return { isValid: false, message: "An error occurred while sending the message." }
+    }
+    await persistence.updateLastActive(senderId)
+    if (sender) {
+        await recordPractice(sender, savedMessage)
+    }
+    publishConversationEvent("message", senderId, receiverId, savedMessage)
+    return { isValid: true, message: "Message sent.", savedMessage }
+}
+
+/**
+ * Subscribes to the events of the conversation between two users.
+ *
+ * @function subscribeToConversation
+ * @param {string} userId - The ID of the subscribing user.
+ * @param {string} partnerId - The ID of the other user in the conversation.
+ * @param {Function} listener - Called with the event type and data: "message" with each new message sent by either user,
+ * "update" with each edited, deleted or corrected message, and "read" with `{ readerId }` when one of the users reads the other's messages.
+ * @returns {Function} A function that removes the subscription.
+ * @description Events are not delivered while the subscribing user is blocked by the partner.
+ * Subscriptions are held in memory, so only events raised by this server process are delivered.
+ */
+function subscribeToConversation(userId, partnerId, listener) {
+    const handler = async (event) => {
+        if (!event.participants.includes(userId.toString()) || !event.participants.includes(partnerId.toString())) {
+            return
+        }
+        try {
+            if (await isBlocked(userId, partnerId)) {
+                return
+            }
+            await listener(event.type, event.data)
+        } catch (error) {
+            console.error(`Error delivering ${event.type} event to userId: ${userId}: ${error.message}`)
+        }
+    }
+    messageEvents.on("conversation", handler)
+    return () => messageEvents.off("conversation", handler)
+}
+
+/**
+ * Checks if a user may still edit a message.
+ *
+ * @function canEditMessage
+ * @param {Object} message - The message document.
+ * @param {string} userId - The ID of the user who wants to edit the message.
+ * @returns {boolean} `true` if the user sent the message, it is not deleted and it was sent less than
+ * `messageEditWindowMinutes` minutes ago, `false` otherwise.
+ */
+function canEditMessage(message, userId) {
+    return (
+        message.senderId.toString() === userId.toString() &&
+        !message.deletedAt &&
+        Date.now() - new Date(message.timestamp).getTime() <= messageEditWindowMinutes * 60 * 1000
+    )
+}
+
+/**
+ * Edits the text of a message and notifies subscribers of the conversation.
+ *
+ * @async
+ * @function editMessage
+ * @param {string} userId - The ID of the user editing the message, who must be its sender.
+ * @param {string} messageId - The ID of the message to edit.
+ * @param {string} newText - The new text of the message.
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success, the `updatedMessage`.
+ * @throws Will propagate any errors from the persistence layer.
+ * @description The new text must pass the `messagePolicies`, and the previous text is kept in the message's edit history.
+ */
+async function editMessage(userId, messageId, newText) {
+    const message = await persistence.getMessageById(messageId)
+    if (!message || message.senderId.toString() !== userId.toString()) {
+        return { isValid: false, message: "You can only edit messages you sent." }
+    }
+    if (message.deletedAt) {
+        return { isValid: false, message: "This message has been deleted." }
+    }
+    if (!canEditMessage(message, userId)) {
+        return { isValid: false, message: `Messages can only be edited within ${messageEditWindowMinutes} minutes of sending.` }
+    }
+    const policyResult = await applyMessagePolicies({
+        senderId: message.senderId,
+        receiverId: message.receiverId,
+        language: message.language,
+        text: newText,
+        isEdit: true
+    })
+    if (!policyResult.isValid) {
+        return policyResult
+    }
+    const updatedMessage = await persistence.updateMessageText(messageId, userId, message.message, policyResult.text)
+    if (!updatedMessage) {
+        return { isValid: false, message: "An error occurred while editing the message." }
+    }
+    await attachCorrections([updatedMessage])
+    publishConversationEvent("update", message.senderId, message.receiverId, updatedMessage)
+    return { isValid: true, message: "Message edited.", updatedMessage }
+}
+
+/**
+ * Soft-deletes a message and notifies subscribers of the conversation.
+ *
+ * @async
+ * @function deleteMessage
+ * @param {string} userId - The ID of the user deleting the message, who must be its sender.
+ * @param {string} messageId - The ID of the message to delete.
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success, the `updatedMessage`.
+ * @throws Will propagate any errors from the persistence layer.
+ * @description Deleted messages stay in the database and are shown as "Message deleted" to both users.
+ */
+async function deleteMessage(userId, messageId) {
+    const message = await persistence.getMessageById(messageId)
+    if (!message || message.senderId.toString() !== userId.toString()) {
+        return { isValid: false, message: "You can only delete messages you sent." }
+    }
+    if (message.deletedAt) {
+        return { isValid: false, message: "This message has already been deleted." }
+    }
+    const updatedMessage = await persistence.softDeleteMessage(messageId, userId)
+    if (!updatedMessage) {
+        return { isValid: false, message: "An error occurred while deleting the message." }
+    }
+    await attachCorrections([updatedMessage])
+    publishConversationEvent("update", message.senderId, message.receiverId, updatedMessage)
+    return { isValid: true, message: "Message deleted.", updatedMessage }
+}
+
+/**
+ * Computes a word-level diff between the original text of a message and its correction.
+ *
+ * @function diffWords
+ * @param {string} originalText - The original text.
+ * @param {string} correctedText - The corrected text.
+ * @returns {Array<Object>} Consecutive segments of text, each with a `value` and `added`/`removed` flags.
+ * Segments with neither flag are shared by both texts.
+ * @description Uses the longest common subsequence of words and whitespace. Very long texts are not diffed word by word:
+ * the whole original is marked as removed and the whole correction as added.
+ */
+function diffWords(originalText, correctedText) {
+    const original = originalText.split(/(\s+)/).filter(Boolean)
+    const corrected = correctedText.split(/(\s+)/).filter(Boolean)
+    if (original.length * corrected.length > maxDiffCells) {
+        return [
+            { value: originalText, added: false, removed: true },
+            { value: correctedText, added: true, removed: false }
+        ]
+    }
+
+    // common[i][j] is the length of the longest common subsequence of original[i..] and corrected[j..]
+    const common = Array.from({ length: original.length + 1 }, () => new Array(corrected.length + 1).fill(0))
+    for (let i = original.length - 1; i >= 0; i--) {
+        for (let j = corrected.length - 1; j >= 0; j--) {
+            common[i][j] = original[i] === corrected[j]
+                ? common[i + 1][j + 1] + 1
+                : Math.max(common[i + 1][j], common[i][j + 1])
+        }
+    }
+
+    const segments = []
+    const addSegment = (value, added, removed) => {
+        const last = segments[segments.length - 1]
+        if (last && last.added === added && last.removed === removed) {
+            last.value += value
+        } else {
+            segments.push({ value, added, removed })
+        }
+    }
+    let i = 0
+    let j = 0
+    while (i < original.length || j < corrected.length) {
+        if (i < original.length && j < corrected.length && original[i] === corrected[j]) {
+            addSegment(original[i], false, false)
+            i++
+            j++
+        } else if (j >= corrected.length || (i < original.length && common[i + 1][j] >= common[i][j + 1])) {
+            addSegment(original[i], false, true)
+            i++
+        } else {
+            addSegment(corrected[j], true, false)
+            j++
+        }
+    }
+    return segments
+}
+
+/**
+ * Loads the corrections of each message and stores them in its `corrections` property, oldest first.
+ * Each correction gets a `diff` against the text it corrected.
+ *
+ * @async
+ * @function attachCorrections
+ * @param {Array<Object>} messages - The messages, which are modified in place.
+ * @returns {Array<Object>} The same messages.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function attachCorrections(messages) {
+    if (messages.length === 0) {
+        return messages
+    }
+    const corrections = await persistence.getCorrectionsByMessageIds(messages.map((message) => message._id))
+    for (const message of messages) {
+        message.corrections = corrections
+            .filter((correction) => correction.messageId.toString() === message._id.toString())
+            .map((correction) => ({ ...correction, diff: diffWords(correction.originalText, correction.correctedText) }))
+    }
+    return messages
+}
+
+/**
+ * Attaches a correction to a message received by the user and notifies subscribers of the conversation.
+ *
+ * @async
+ * @function addCorrection
+ * @param {string} userId - The ID of the user correcting the message, who must be its receiver.
+ * @param {string} partnerId - The ID of the other user in the conversation, who must be the sender of the message.
+ * @param {string} messageId - The ID of the message to correct.
+ * @param {string} correctedText - The corrected text.
+ * @param {string} [explanation] - An optional explanation of the correction.
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success, the `updatedMessage`
+ * with all of its corrections.
+ * @throws Will propagate any errors from the persistence layer.
+ * @description Messages cannot be corrected while their sender blocks the user.
+ */
+async function addCorrection(userId, partnerId, messageId, correctedText, explanation) {
+    const text = typeof correctedText === "string" ? correctedText.trim() : ""
+    if (!text) {
+        return { isValid: false, message: "The corrected text cannot be empty." }
+    }
+    const message = await persistence.getMessageById(messageId)
+    if (!message || message.receiverId.toString() !== userId.toString() || message.senderId.toString() !== partnerId.toString()) {
+        return { isValid: false, message: "You can only correct messages you received." }
+    }
+    if (await isBlocked(userId, message.senderId)) {
+        return { isValid: false, message: "You are blocked by this user." }
+    }
+    if (message.deletedAt) {
+        return { isValid: false, message: "This message has been deleted." }
+    }
+    if (text === message.message.trim()) {
+        return { isValid: false, message: "The correction is the same as the original message." }
+    }
+    const note = typeof explanation === "string" ? explanation.trim() : ""
+    const correction = await persistence.saveCorrection(messageId, userId, message.message, text, note)
+    if (!correction) {
+        return { isValid: false, message: "An error occurred while saving the correction." }
+    }
+    await attachCorrections([message])
+    publishConversationEvent("update", message.senderId, message.receiverId, message)
+    return { isValid: true, message: "Correction added.", updatedMessage: message }
+}
+
+/**
+ * Creates the offline translation provider, which translates phrase by phrase with the phrasebook in `dictionary.json`.
+ * Each entry of the phrasebook gives the same word or phrase in every supported language. The longest phrase is
+ * matched first, so "por favor" is translated as one phrase rather than word by word. Words that are not in the
+ * phrasebook are left as they are, and so are scripts that are not written with spaces between words.
+ *
+ * @function createDictionaryProvider
+ * @returns {Object} A translation provider.
+ */
+function createDictionaryProvider() {
+    const entries = require("./dictionary.json")
+    const entriesByPhrase = new Map()
+    for (const entry of entries) {
+        for (const phrase of Object.values(entry)) {
+            if (!entriesByPhrase.has(phrase.toLowerCase())) {
+                entriesByPhrase.set(phrase.toLowerCase(), entry)
+            }
+        }
+    }
+    const alternatives = [...entriesByPhrase.keys()]
+        .sort((a, b) => b.length - a.length)
+        .map((phrase) => phrase.replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+"))
+        .join("|")
+    const pattern = new RegExp(`(?<![\\p{L}\\p{M}\\p{N}'])(?:${alternatives})(?![\\p{L}\\p{M}\\p{N}'])`, "giu")
+
+    return {
+        translate: async (text, targetLanguage) => {
+            let translatedWords = 0
+            const translation = text.replace(pattern, (phrase) => {
+                const entry = entriesByPhrase.get(phrase.toLowerCase().replace(/\s+/g, " "))
+                if (!entry || !entry[targetLanguage]) {
+                    return phrase
+                }
+                translatedWords++
+                const translated = entry[targetLanguage]
+                return phrase[0] !== phrase[0].toLowerCase()
+                    ? translated[0].toUpperCase() + translated.slice(1)
+                    : translated
+            })
+            return translatedWords > 0 ? translation : null
+        }
+    }
+}
+
+/**
+ * The available translation providers by name. A provider is an object with an async
+ * `translate(text, targetLanguage)` method that resolves to the translated text, or `null` if it cannot translate it.
+ * The provider in use is chosen with the `TRANSLATION_PROVIDER` environment variable and defaults to "dictionary".
+ */
+const translationProviders = {
+    dictionary: createDictionaryProvider()
+}
+
+/**
+ * Adds a translation provider, or replaces the one with the same name.
+ *
+ * @function registerTranslationProvider
+ * @param {string} name - The name used to select the provider with `TRANSLATION_PROVIDER`.
+ * @param {Object} provider - An object with an async `translate(text, targetLanguage)` method.
+ */
+function registerTranslationProvider(name, provider) {
+    translationProviders[name] = provider
+}
+
+/**
+ * Translates a message into a language. Translations are cached per message and language,
+ * and translated again when the message has been edited or the configured provider has changed.
+ *
+ * @async
+ * @function translateMessage
+ * @param {string} userId - The ID of the user requesting the translation, who must have sent or received the message.
+ * @param {string} messageId - The ID of the message to translate.
+ * @param {string} targetLanguage - One of the supported languages.
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success, the `translation`.
+ * @throws Will throw an error if the configured translation provider does not exist, and propagate any errors from
+ * the provider or the persistence layer.
+ */
+async function translateMessage(userId, messageId, targetLanguage) {
+    if (!supportedLanguages.includes(targetLanguage)) {
+        return { isValid: false, message: "Please choose a supported language." }
+    }
+    const message = await persistence.getMessageById(messageId)
+    if (!message || (message.senderId.toString() !== userId.toString() && message.receiverId.toString() !== userId.toString())) {
+        return { isValid: false, message: "Message not found." }
+    }
+    if (message.deletedAt) {
+        return { isValid: false, message: "This message has been deleted." }
+    }
+
+    const cached = await persistence.getTranslation(messageId, targetLanguage)
+    if (cached && cached.sourceText === message.message && cached.provider === translationProviderName) {
+        return { isValid: true, message: "Message translated.", translation: cached.text }
+    }
+
+    const provider = translationProviders[translationProviderName]
+    if (!provider) {
+        throw new Error(`Unknown translation provider: ${translationProviderName}`)
+    }
+    const translation = await provider.translate(message.message, targetLanguage)
+    if (!translation) {
+        return { isValid: false, message: `No ${targetLanguage} translation is available for this message.` }
+    }
+    await persistence.saveTranslation(messageId, targetLanguage, message.message, translationProviderName, translation)
+    return { isValid: true, message: "Message translated.", translation }
+}
+
+/**
+ * Saves a phrase from a message to the user's vocabulary notebook as a new flashcard, due for review today.
+ *
+ * @async
+ * @function saveVocabulary
+ * @param {string} userId - The ID of the user, who must have sent or received the message.
+ * @param {string} messageId - The ID of the message the phrase was taken from.
+ * @param {string} phrase - The phrase, which must appear in the message.
+ * @param {string} language - The language of the phrase, one of the supported languages.
+ * @param {string} [meaning] - An optional meaning or note, shown on the back of the flashcard.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function saveVocabulary(userId, messageId, phrase, language, meaning) {
+    const text = typeof phrase === "string" ? phrase.trim() : ""
+    if (!text) {
+        return { isValid: false, message: "Please select a phrase to save." }
+    }
+    if (text.length > maxPhraseLength) {
+        return { isValid: false, message: `Phrases can be at most ${maxPhraseLength} characters long.` }
+    }
+    if (!supportedLanguages.includes(language)) {
+        return { isValid: false, message: "Please choose a supported language." }
+    }
+    const message = await persistence.getMessageById(messageId)
+    if (!message || (message.senderId.toString() !== userId.toString() && message.receiverId.toString() !== userId.toString())) {
+        return { isValid: false, message: "Message not found." }
+    }
+    if (message.deletedAt) {
+        return { isValid: false, message: "This message has been deleted." }
+    }
+    if (!message.message.toLowerCase().includes(text.toLowerCase())) {
+        return { isValid: false, message: "The phrase must be part of the message." }
+    }
+
+    const now = new Date()
+    const card = await persistence.saveVocabularyCard({
+        userId: new ObjectId(userId),
+        phrase: text,
+        language: language,
+        meaning: typeof meaning === "string" ? meaning.trim() : "",
+        messageId: message._id,
+        partnerId: message.senderId.toString() === userId.toString() ? message.receiverId : message.senderId,
+        createdAt: now,
+        easeFactor: initialEaseFactor,
+        interval: 0,
+        repetitions: 0,
+        dueAt: now,
+        reviews: []
+    })
+    if (!card) {
+        return { isValid: false, message: "An error occurred while saving the phrase." }
+    }
+    return { isValid: true, message: `"${text}" was added to your vocabulary.` }
+}
+
+/**
+ * Returns the end of the current day in a user's time zone, used to decide which flashcards are due today.
+ *
+ * @function getEndOfToday
+ * @param {Object|null} user - The user document.
+ * @returns {Date} The last millisecond of today in the user's time zone.
+ */
+function getEndOfToday(user) {
+    const timeZone = getUserTimeZone(user)
+    const tomorrow = new Date(Date.parse(`${getLocalDay(new Date(), timeZone)}T00:00:00Z`) + 24 * 60 * 60 * 1000)
+    return new Date(getStartOfLocalDay(tomorrow.toISOString().slice(0, 10), timeZone).getTime() - 1)
+}
+
+/**
+ * Retrieves the vocabulary notebook of a user.
+ *
+ * @async
+ * @function getVocabulary
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} The user's cards, most recently saved first, each with an `isDue` flag set if it is due
+ * today in the user's time zone.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getVocabulary(userId) {
+    const cards = await persistence.getVocabularyCards(userId)
+    const endOfToday = getEndOfToday(await persistence.getUserById(userId))
+    return cards.map((card) => ({ ...card, isDue: card.dueAt <= endOfToday }))
+}
+
+/**
+ * Retrieves the flashcards of a user that are due for review today in their time zone, earliest first.
+ *
+ * @async
+ * @function getDueFlashcards
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} The cards due today.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getDueFlashcards(userId) {
+    return await persistence.getDueVocabularyCards(userId, getEndOfToday(await persistence.getUserById(userId)))
+}
+
+/**
+ * Computes the next schedule of a flashcard with the SM-2 spaced-repetition algorithm.
+ *
+ * @function scheduleReview
+ * @param {Object} card - The card, with its current `easeFactor`, `interval` and `repetitions`.
+ * @param {number} quality - How well the user remembered the card, from 0 (not at all) to 5 (perfectly).
+ * @param {Date} reviewedAt - The time of the review.
+ * @returns {Object} The new `easeFactor`, `interval` (in days), `repetitions` and `dueAt` of the card.
+ * @description Cards remembered with a quality below 3 start over and are shown again the next day.
+ */
+function scheduleReview(card, quality, reviewedAt) {
+    let repetitions = 0
+    let interval = 1
+    if (quality >= 3) {
+        repetitions = card.repetitions + 1
+        interval = repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(card.interval * card.easeFactor)
+    }
+    const easeFactor = Math.max(
+        minimumEaseFactor,
+        card.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    )
+    const dueAt = new Date(reviewedAt)
+    dueAt.setDate(dueAt.getDate() + interval)
+    return { easeFactor, interval, repetitions, dueAt }
+}
+
+/**
+ * Records the review of a flashcard and schedules its next review.
+ *
+ * @async
+ * @function reviewFlashcard
+ * @param {string} userId - The ID of the user who owns the card.
+ * @param {string} cardId - The ID of the card.
+ * @param {number|string} quality - How well the user remembered the card, from 0 to 5.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function reviewFlashcard(userId, cardId, quality) {
+    const grade = Number(quality)
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) {
+        return { isValid: false, message: "Please rate the card from 0 to 5." }
+    }
+    const card = await persistence.getVocabularyCard(cardId, userId)
+    if (!card) {
+        return { isValid: false, message: "Flashcard not found." }
+    }
+    const reviewedAt = new Date()
+    const schedule = scheduleReview(card, grade, reviewedAt)
+    const updated = await persistence.recordVocabularyReview(cardId, userId, schedule, {
+        reviewedAt: reviewedAt,
+        quality: grade,
+        interval: schedule.interval,
+        easeFactor: schedule.easeFactor
+    })
+    if (!updated) {
+        return { isValid: false, message: "An error occurred while saving the review." }
+    }
+    return {
+        isValid: true,
+        message: `Next review in ${schedule.interval} day${schedule.interval === 1 ? "" : "s"}.`
+    }
+}
+
+/**
+ * Removes a phrase from a user's vocabulary notebook.
+ *
+ * @async
+ * @function deleteVocabulary
+ * @param {string} userId - The ID of the user who owns the card.
+ * @param {string} cardId - The ID of the card.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function deleteVocabulary(userId, cardId) {
+    const deleted = await persistence.deleteVocabularyCard(cardId, userId)
+    if (!deleted) {
+        return { isValid: false, message: "Flashcard not found." }
+    }
+    return { isValid: true, message: "The phrase was removed from your vocabulary." }
+}
+
+/**
+ * Retrieves the conversation between two users.
+ *
+ * @async
+ * @function getConversation
+ * @param {string} userId1 - The ID of the first user in the conversation.
+ * @param {string} userId2 - The ID of the second user in the conversation.
+ * @returns {Array<Object>} An array of messages exchanged between the two users.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getConversation(userId1, userId2) {
+    return await persistence.getConversation(userId1, userId2)
+}
+
+/**
+ * Builds the exportable record of each message of a conversation, with usernames and ISO timestamps.
+ * The text and edit history of deleted messages are left out.
+ *
+ * @async
+ * @function buildTranscript
+ * @param {string} userId1 - The ID of the first user in the conversation.
+ * @param {string} userId2 - The ID of the second user in the conversation.
+ * @returns {Object} An object containing the `participants` (usernames) and the `messages` records, oldest first.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function buildTranscript(userId1, userId2) {
+    const user1 = await persistence.getUserById(userId1)
+    const user2 = await persistence.getUserById(userId2)
+    const usernames = {
+        [userId1.toString()]: user1.username,
+        [userId2.toString()]: user2.username
+    }
+    const toISO = (date) => (date ? new Date(date).toISOString() : null)
+
+    const messages = await attachCorrections(await getConversation(userId1, userId2))
+    return {
+        participants: [user1.username, user2.username],
+        messages: messages.map((message) => {
+            const isDeleted = !!message.deletedAt
+            return {
+                id: message._id.toString(),
+                timestamp: toISO(message.timestamp),
+                sender: usernames[message.senderId.toString()],
+                receiver: usernames[message.receiverId.toString()],
+                message: isDeleted ? null : message.message,
+                editedAt: isDeleted ? null : toISO(message.editedAt),
+                edits: isDeleted || !message.editHistory
+                    ? []
+                    : message.editHistory.map((edit) => ({ previousMessage: edit.message, editedAt: toISO(edit.editedAt) })),
+                deletedAt: toISO(message.deletedAt),
+                corrections: isDeleted
+                    ? []
+                    : message.corrections.map((correction) => ({
+                        author: usernames[correction.authorId.toString()],
+                        originalText: correction.originalText,
+                        correctedText: correction.correctedText,
+                        explanation: correction.explanation,
+                        createdAt: toISO(correction.createdAt)
+                    }))
+            }
+        })
+    }
+}
+
+/**
+ * Quotes a value for a CSV file. Values that a spreadsheet would run as a formula are prefixed with an apostrophe.
+ *
+ * @function toCsvValue
+ * @param {string|null} value - The value of the cell.
+ * @returns {string} The quoted value.
+ */
+function toCsvValue(value) {
+    let text = value === null || value === undefined ? "" : String(value)
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`
+    }
+    return `"${text.replace(/"/g, '""')}"`
+}
+
+/**
+ * Formats a transcript as CSV, one row per message. Edits and corrections are joined into a single column each.
+ *
+ * @function formatTranscriptAsCsv
+ * @param {Object} transcript - The transcript built by `buildTranscript`.
+ * @returns {string} The CSV file.
+ */
+function formatTranscriptAsCsv(transcript) {
+    const header = ["id", "timestamp", "sender", "receiver", "message", "edited_at", "previous_versions", "deleted_at", "corrections"]
+    const rows = transcript.messages.map((message) => [
+        message.id,
+        message.timestamp,
+        message.sender,
+        message.receiver,
+        message.deletedAt ? "[message deleted]" : message.message,
+        message.editedAt,
+        message.edits.map((edit) => `${edit.editedAt}: ${edit.previousMessage}`).join(" | "),
+        message.deletedAt,
+        message.corrections
+            .map((correction) => `${correction.author}: ${correction.correctedText}${correction.explanation ? ` (${correction.explanation})` : ""}`)
+            .join(" | ")
+    ])
+    return [header, ...rows].map((row) => row.map(toCsvValue).join(",")).join("\r\n") + "\r\n"
+}
+
+/**
+ * Formats a transcript as readable plain text.
+ *
+ * @function formatTranscriptAsText
+ * @param {Object} transcript - The transcript built by `buildTranscript`.
+ * @returns {string} The text file.
+ */
+function formatTranscriptAsText(transcript) {
+    const lines = [`Conversation between ${transcript.participants.join(" and ")}`, ""]
+    for (const message of transcript.messages) {
+        if (message.deletedAt) {
+            lines.push(`[${message.timestamp}] ${message.sender}: (message deleted at ${message.deletedAt})`)
+            continue
+        }
+        lines.push(`[${message.timestamp}] ${message.sender}: ${message.message}${message.editedAt ? ` (edited at ${message.editedAt})` : ""}`)
+        for (const edit of message.edits) {
+            lines.push(`    Before ${edit.editedAt}: ${edit.previousMessage}`)
+        }
+        for (const correction of message.corrections) {
+            lines.push(`    Correction by ${correction.author}: ${correction.correctedText}`)
+            if (correction.explanation) {
+                lines.push(`        ${correction.explanation}`)
+            }
+        }
+    }
+    return lines.join("\n") + "\n"
+}
+
+/**
+ * Exports the conversation between two users as a downloadable file.
+ *
+ * @async
+ * @function exportConversation
+ * @param {string} userId - The ID of the user requesting the export.
+ * @param {string} partnerId - The ID of the other user in the conversation.
+ * @param {string} format - "json", "csv" or "txt".
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success, the `fileName`,
+ * `contentType` and `content` of the file.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function exportConversation(userId, partnerId, format) {
+    if (!["json", "csv", "txt"].includes(format)) {
+        return { isValid: false, message: "Please choose JSON, CSV or plain text." }
+    }
+    const partner = await persistence.getUserById(partnerId)
+    if (!partner) {
+        return { isValid: false, message: "User not found." }
+    }
+    const transcript = await buildTranscript(userId, partnerId)
+    const fileName = `conversation-${transcript.participants.join("-")}-${new Date().toISOString().slice(0, 10)}.${format}`
+    if (format === "csv") {
+        return { isValid: true, message: "", fileName, contentType: "text/csv", content: formatTranscriptAsCsv(transcript) }
+    }
+    if (format === "txt") {
+        return { isValid: true, message: "", fileName, contentType: "text/plain", content: formatTranscriptAsText(transcript) }
+    }
+    return {
+        isValid: true,
+        message: "",
+        fileName,
+        contentType: "application/json",
+        content: JSON.stringify({ exportedAt: new Date().toISOString(), ...transcript }, null, 2)
+    }
+}
+
+/**
+ * Retrieves one page of the conversation between two users, starting from the latest messages.
+ *
+ * @async
+ * @function getConversationPage
+ * @param {string} userId1 - The ID of the first user in the conversation.
+ * @param {string} userId2 - The ID of the second user in the conversation.
+ * @param {string} [before] - The cursor returned with the previous page, used to load older messages.
+ * @returns {Object} An object containing `messages` (sorted by timestamp in ascending order, with their `corrections`) and `olderCursor`,
+ * the cursor of the next older page or `null` if there are no older messages.
+ * @throws Will propagate any errors from the persistence layer.
+ * @description Cursors have the form `<timestamp in ms>_<message id>`, so that messages with the same timestamp are not skipped.
+ */
+async function getConversationPage(userId1, userId2, before) {
+    let cursor = null
+    if (before) {
+        const [time, id] = before.split("_")
+        if (!Number.isFinite(Number(time)) || !ObjectId.isValid(id)) {
+            throw new Error("Invalid conversation cursor.")
+        }
+        cursor = { timestamp: new Date(Number(time)), _id: id }
+    }
+    const page = await persistence.getConversationPage(userId1, userId2, cursor, messagesPerPage + 1)
+    const hasOlder = page.length > messagesPerPage
+    const pageMessages = page.slice(0, messagesPerPage).reverse()
+    const oldest = pageMessages[0]
+    return {
+        messages: await attachCorrections(pageMessages),
+        olderCursor: hasOlder ? `${new Date(oldest.timestamp).getTime()}_${oldest._id}` : null
+    }
+}
+
+
+/**
+ * Retrieves the page of the conversation between two users that ends with a given message, so that the message
+ * can be shown in context.
+ *
+ * @async
+ * @function getConversationPageAt
+ * @param {string} userId1 - The ID of the first user in the conversation.
+ * @param {string} userId2 - The ID of the second user in the conversation.
+ * @param {string} messageId - The ID of the message to show.
+ * @returns {Object|null} An object containing `messages` (sorted by timestamp in ascending order, with their `corrections`)
+ * and `olderCursor`, or `null` if the message does not belong to the conversation.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getConversationPageAt(userId1, userId2, messageId) {
+    if (!ObjectId.isValid(messageId)) {
+        return null
+    }
+    const message = await persistence.getMessageById(messageId)
+    const participants = [userId1.toString(), userId2.toString()]
+    if (!message || !participants.includes(message.senderId.toString()) || !participants.includes(message.receiverId.toString())) {
+        return null
+    }
+    const page = await getConversationPage(userId1, userId2, `${new Date(message.timestamp).getTime()}_${message._id}`)
+    await attachCorrections([message])
+    return { messages: [...page.messages, message], olderCursor: page.olderCursor }
+}
+
+/**
+ * Parses a date entered in a search form (YYYY-MM-DD) as the start or end of that day.
+ *
+ * @function parseSearchDate
+ * @param {string} value - The date entered by the user.
+ * @param {boolean} endOfDay - Whether to return the last millisecond of the day instead of the first.
+ * @returns {Date|null|undefined} The parsed date, `undefined` if no date was entered, or `null` if the date is invalid.
+ */
+function parseSearchDate(value, endOfDay) {
+    if (!value) {
+        return undefined
+    }
+    const date = new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00"}`)
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date.getTime()) ? date : null
+}
+
+/**
+ * Splits a text into segments, flagging the parts that match one of the words of a search query.
+ *
+ * @function highlightSearchTerms
+ * @param {string} text - The text of a message.
+ * @param {string} query - The search query.
+ * @returns {Array<Object>} Consecutive segments of text, each with a `value` and an `isMatch` flag.
+ */
+function highlightSearchTerms(text, query) {
+    const terms = query
+        .split(/\s+/)
+        .filter((term) => !term.startsWith("-"))
+        .map((term) => term.replace(/"/g, ""))
+        .filter(Boolean)
+        .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    if (terms.length === 0) {
+        return [{ value: text, isMatch: false }]
+    }
+    const alternatives = terms.join("|")
+    const matcher = new RegExp(`^(?:${alternatives})$`, "iu")
+    return text
+        .split(new RegExp(`(${alternatives})`, "giu"))
+        .filter(Boolean)
+        .map((value) => ({ value, isMatch: matcher.test(value) }))
+}
+
+/**
+ * Searches the messages a user sent or received.
+ *
+ * @async
+ * @function searchMessages
+ * @param {string} userId - The ID of the user.
+ * @param {Object} filters - The search: `query` (required), and optionally `partnerId`, `from` and `to` (YYYY-MM-DD).
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success, the `results`,
+ * best matches first, each with the conversation `partner` and the message text split into `segments` with the
+ * matching words flagged.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function searchMessages(userId, filters) {
+    const query = typeof filters.query === "string" ? filters.query.trim() : ""
+    if (!query) {
+        return { isValid: false, message: "Please enter something to search for." }
+    }
+    if (filters.partnerId && !ObjectId.isValid(filters.partnerId)) {
+        return { isValid: false, message: "Please choose a valid conversation partner." }
+    }
+    const from = parseSearchDate(filters.from, false)
+    const to = parseSearchDate(filters.to, true)
+    if (from === null || to === null) {
+        return { isValid: false, message: "Please enter valid dates." }
+    }
+    if (from && to && from > to) {
+        return { isValid: false, message: "The start date must be before the end date." }
+    }
+
+    const messages = await persistence.searchMessages(userId, query, { partnerId: filters.partnerId, from, to }, searchResultsLimit)
+    const results = messages.map((message) => ({
+        _id: message._id,
+        partner: message.partner,
+        timestamp: message.timestamp,
+        isOwn: message.senderId.toString() === userId.toString(),
+        segments: highlightSearchTerms(message.message, query)
+    }))
+    return {
+        isValid: true,
+        message: `${results.length} message${results.length === 1 ? "" : "s"} found.`,
+        results
+    }
+}
+
+/**
+ * Retrieves the inbox of a user: one entry per conversation partner, most recent activity first.
+ *
+ * @async
+ * @function getInbox
+ * @param {string} userId - The ID of the user whose inbox is to be retrieved.
+ * @returns {Array<Object>} An array of entries with `partner`, `snippet`, `lastTimestamp`, `lastMessageIsOwn` and `unreadCount`.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getInbox(userId) {
+    const summaries = await persistence.getConversationSummaries(userId)
+    return summaries.map((summary) => ({
+        partner: summary.partner,
+        snippet: summary.lastDeletedAt
+            ? "Message deleted"
+            : summary.lastMessage.length > snippetLength
+            ? `${summary.lastMessage.slice(0, snippetLength)}…`
+            : summary.lastMessage,
+        lastTimestamp: summary.lastTimestamp,
+        lastMessageIsOwn: summary.lastSenderId.toString() === userId.toString(),
+        unreadCount: summary.unreadCount
+    }))
+}
+
+/**
+ * Marks the messages a partner sent to a user as read and notifies the partner.
+ *
+ * @async
+ * @function markConversationRead
+ * @param {string} readerId - The ID of the user reading the conversation.
+ * @param {string} partnerId - The ID of the other user in the conversation.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function markConversationRead(readerId, partnerId) {
+    const markedCount = await persistence.markConversationRead(readerId, partnerId)
+    if (markedCount > 0) {
+        publishConversationEvent("read", readerId, partnerId, { readerId: readerId.toString() })
+    }
+}
+
+/**
+ * Marks a single message as read by its receiver and notifies the sender.
+ *
+ * @async
+ * @function markMessageRead
+ * @param {string} messageId - The ID of the message that was read.
+ * @param {string} readerId - The ID of the user who read the message (its receiver).
+ * @param {string} partnerId - The ID of the user who sent the message.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function markMessageRead(messageId, readerId, partnerId) {
+    if (await persistence.markMessageRead(messageId, readerId)) {
+        publishConversationEvent("read", readerId, partnerId, { readerId: readerId.toString() })
+    }
+}
+
+/**
+ * Counts the messages a user has received but not read yet, across all conversations.
+ *
+ * @async
+ * @function getUnreadCount
+ * @param {string} userId - The ID of the user.
+ * @returns {number} The number of unread messages.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getUnreadCount(userId) {
+    return await persistence.countUnreadMessages(userId)
+}
+
+/**
+ * Checks the password of a logged-in user, for actions that require the password to be entered again.
+ *
+ * @async
+ * @function verifyPassword
+ * @param {string} userId - The ID of the user.
+ * @param {string} password - The password entered by the user.
+ * @returns {Object|null} The user if the password is correct, or `null` otherwise.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function verifyPassword(userId, password) {
+    const user = await persistence.getUserById(userId)
+    if (!user || !password) {
+        return null
+    }
+    return isPasswordCorrect(user, password) ? user : null
+}
+
+/**
+ * Builds an archive of everything stored about a user: profile, contacts, blocked contacts, badges, messages,
+ * corrections, vocabulary, daily progress and login history. The password, verification, reset and unlock keys are left out,
+ * and so are the text and edit history of deleted messages and of messages hidden by a moderator, as in conversation transcripts.
+ *
+ * @async
+ * @function exportUserData
+ * @param {string} userId - The ID of the user.
+ * @param {string} password - The user's password, which must be entered again.
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success, the `fileName`
+ * and JSON `content` of the archive.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function exportUserData(userId, password) {
+    const user = await verifyPassword(userId, password)
+    if (!user) {
+        return { isValid: false, message: "Incorrect password." }
+    }
+    const toContact = (contact) => ({ id: contact._id.toString(), username: contact.username })
+    const { password: _password, verificationKey, resetKey, unlockKey, ...profile } = user
+
+    const archive = {
+        exportedAt: new Date().toISOString(),
+        profile: profile,
+        contacts: (await persistence.getContacts(userId) || []).map(toContact),
+        blockedContacts: (await persistence.getBlockedContacts(userId)).map(toContact),
+        badges: await persistence.getUserBadges(userId),
+        messages: (await persistence.getMessagesInvolvingUser(userId)).map((message) => {
+            if (!message.deletedAt && !message.hiddenAt) {
+                return message
+            }
+            const { message: _text, editHistory, ...removedMessage } = message
+            return removedMessage
+        }),
+        corrections: await persistence.getCorrectionsByAuthor(userId),
+        vocabulary: await persistence.getVocabularyCards(userId),
+        dailyProgress: await persistence.getDailyProgressHistory(userId),
+        loginHistory: await persistence.getLoginHistory(userId)
+    }
+    return {
+        isValid: true,
+        message: "Your data has been exported.",
+        fileName: `globelingo-data-${user.username}-${new Date().toISOString().slice(0, 10)}.json`,
+        content: JSON.stringify(archive, null, 2)
+    }
+}
+
+/**
+ * Permanently deletes a user's account and all of their data.
+ *
+ * @async
+ * @function deleteAccount
+ * @param {string} userId - The ID of the user.
+ * @param {string} password - The user's password, which must be entered again.
+ * @returns {Object} An object containing `isValid` (boolean), a `message` (string) and, on success,
+ * the `profilePicturePath` of the deleted user so that the file can be removed.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function deleteAccount(userId, password) {
+    const user = await verifyPassword(userId, password)
+    if (!user) {
+        return { isValid: false, message: "Incorrect password." }
+    }
+    const deleted = await persistence.deleteUserAndData(userId)
+    if (!deleted) {
+        return { isValid: false, message: "An error occurred while deleting your account." }
+    }
+    return { isValid: true, message: "Your account has been deleted.", profilePicturePath: user.profilePicturePath }
+}
+
+/**
+ * Gives the admin role to the users whose emails are listed in the ADMIN_EMAILS environment variable
+ * (comma-separated). Called when the server starts.
+ *
+ * @async
+ * @function initializeAdmins
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function initializeAdmins() {
+    const emails = (process.env.ADMIN_EMAILS || "").split(",").map((email) => email.trim()).filter(Boolean)
+    for (const email of emails) {
+        await persistence.updateUserField(email, { role: "admin" })
+    }
+}
+
+/**
+ * Lists one page of all users for the admin console, optionally filtered by username or email.
+ *
+ * @async
+ * @function listUsers
+ * @param {string} search - The text the username or email must contain, or an empty string for all users.
+ * @param {number} [page=1] - The page of results to return (1-based).
+ * @returns {Object} An object containing `users` (sorted by username), `page` and `totalPages`.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function listUsers(search, page = 1) {
+    const totalUsers = await persistence.countListedUsers(search)
+    const pagination = clampPage(page, totalUsers)
+    const users = await persistence.listUsers(search, (pagination.page - 1) * usersPerPage, usersPerPage)
+    return { users, page: pagination.page, totalPages: pagination.totalPages }
+}
+
+/**
+ * Retrieves a user's account details for the admin console.
+ *
+ * @async
+ * @function getUserAccount
+ * @param {string} userId - The ID of the user.
+ * @returns {Object|null} The user, without their password and keys, with their `activeSessions` count
+ * and the `availableBadges` they have not earned, or `null` if the user does not exist.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getUserAccount(userId) {
+    if (!ObjectId.isValid(userId)) {
+        return null
+    }
+    const user = await persistence.getUserById(userId)
+    if (!user) {
+        return null
+    }
+    const { password, verificationKey, resetKey, unlockKey, ...account } = user
+    const earned = (user.badges || []).map((badge) => badge.name)
+    const allBadges = await persistence.getAllBadges()
+    return {
+        ...account,
+        badges: user.badges || [],
+        activeSessions: await persistence.countUserSessions(userId),
+        availableBadges: allBadges.filter((badge) => !earned.includes(badge.name)).map((badge) => badge.name)
+    }
+}
+
+/**
+ * Applies an admin action to a user account: verifying or unverifying the email, suspending or reinstating
+ * the account, or revoking all of its sessions. Suspending an account also revokes its sessions.
+ *
+ * @async
+ * @function manageUser
+ * @param {string} adminId - The ID of the admin applying the action.
+ * @param {string} userId - The ID of the user.
+ * @param {string} action - One of "verify", "unverify", "suspend", "reinstate" or "revoke-sessions".
+ * @param {string} [reason=""] - The reason given for a suspension.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function manageUser(adminId, userId, action, reason = "") {
+    const user = ObjectId.isValid(userId) ? await persistence.getUserById(userId) : null
+    if (!user) {
+        return { isValid: false, message: "User not found." }
+    }
+    if (action === "verify" || action === "unverify") {
+        await persistence.updateUserField(user.email, { isVerified: action === "verify" })
+        return { isValid: true, message: `${user.username}'s email is now ${action === "verify" ? "verified" : "unverified"}.` }
+    }
+    if (action === "suspend") {
+        if (user._id.toString() === adminId.toString()) {
+            return { isValid: false, message: "You cannot suspend your own account." }
+        }
+        await persistence.updateUserField(user.email, {
+            isSuspended: true,
+            suspendedAt: new Date(),
+            suspensionReason: typeof reason === "string" ? reason.trim() : ""
+        })
+        await persistence.deleteUserSessions(userId)
+        return { isValid: true, message: `${user.username} has been suspended.` }
+    }
+    if (action === "reinstate") {
+        await persistence.updateUserField(user.email, { isSuspended: false, suspendedAt: null, suspensionReason: null })
+        return { isValid: true, message: `${user.username} has been reinstated.` }
+    }
+    if (action === "revoke-sessions") {
+        const count = await persistence.deleteUserSessions(userId)
+        return { isValid: true, message: `${count} session(s) of ${user.username} have been revoked.` }
+    }
+    return { isValid: false, message: "Unknown action." }
+}
+
+/**
+ * Grants a badge to a user or revokes it. Revoked badges are not awarded again automatically.
+ *
+ * @async
+ * @function manageUserBadge
+ * @param {string} userId - The ID of the user.
+ * @param {string} badgeName - The name of the badge.
+ * @param {string} action - "grant" or "revoke".
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function manageUserBadge(userId, badgeName, action) {
+    const user = ObjectId.isValid(userId) ? await persistence.getUserById(userId) : null
+    if (!user) {
+        return { isValid: false, message: "User not found." }
+    }
+    const hasBadge = (user.badges || []).some((badge) => badge.name === badgeName)
+    if (action === "revoke") {
+        if (!hasBadge || !await persistence.revokeBadge(userId, badgeName)) {
+            return { isValid: false, message: `${user.username} does not have the "${badgeName}" badge.` }
+        }
+        return { isValid: true, message: `The "${badgeName}" badge has been revoked from ${user.username}.` }
+    }
+    const badge = (await persistence.getAllBadges()).find((existing) => existing.name === badgeName)
+    if (!badge) {
+        return { isValid: false, message: "Badge not found." }
+    }
+    if (hasBadge) {
+        return { isValid: false, message: `${user.username} already has the "${badgeName}" badge.` }
+    }
+    await persistence.awardBadge(userId, {
+        name: badge.name,
+        description: badge.description,
+        imageUrl: badge.imageUrl,
+        icon: badge.icon
+    })
+    return { isValid: true, message: `The "${badgeName}" badge has been granted to ${user.username}.` }
+}
+
+/**
+ * The categories a report can be filed under, with the label shown to users and moderators.
+ */
+const reportCategories = {
+    spam: "Spam or scam",
+    harassment: "Harassment or bullying",
+    hate: "Hate speech",
+    sexual: "Sexual or inappropriate content",
+    impersonation: "Impersonation or fake profile",
+    other: "Something else"
+}
+const maximumReportNoteLength = 1000
+const reportsPerPage = 20
+
+/**
+ * Validates the category and note of a report.
+ *
+ * @function validateReport
+ * @param {string} category - The category, a key of `reportCategories`.
+ * @param {string} note - The free-text note, which may be empty.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string) if invalid.
+ */
+function validateReport(category, note) {
+    if (!Object.hasOwn(reportCategories, category)) {
+        return { isValid: false, message: "Please choose a reason for the report." }
+    }
+    if (typeof note !== "string" || note.length > maximumReportNoteLength) {
+        return { isValid: false, message: `The note cannot be longer than ${maximumReportNoteLength} characters.` }
+    }
+    return { isValid: true }
+}
+
+/**
+ * Reports a user to the moderators, keeping a snapshot of their profile as evidence.
+ *
+ * @async
+ * @function reportUser
+ * @param {string} reporterId - The ID of the user filing the report.
+ * @param {string} reportedUserId - The ID of the reported user.
+ * @param {string} category - The reason for the report, a key of `reportCategories`.
+ * @param {string} note - A free-text note for the moderators, which may be empty.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function reportUser(reporterId, reportedUserId, category, note) {
+    const validation = validateReport(category, note)
+    if (!validation.isValid) {
+        return validation
+    }
+    const reportedUser = ObjectId.isValid(reportedUserId) ? await persistence.getUserById(reportedUserId) : null
+    if (!reportedUser) {
+        return { isValid: false, message: "User not found." }
+    }
+    if (reportedUser._id.toString() === reporterId.toString()) {
+        return { isValid: false, message: "You cannot report yourself." }
+    }
+    if (await persistence.getOpenReport(reporterId, "user", reportedUserId)) {
+        return { isValid: false, message: "You have already reported this user. Our moderators will review it." }
+    }
+    const reportId = await persistence.createReport({
+        reporterId,
+        targetType: "user",
+        targetId: reportedUserId,
+        reportedUserId,
+        category,
+        note: note.trim(),
+        snapshot: {
+            username: reportedUser.username,
+            email: reportedUser.email,
+            profilePicturePath: reportedUser.profilePicturePath,
+            knownLanguages: reportedUser.knownLanguages || [],
+            learningLanguages: reportedUser.learningLanguages || []
+        }
+    })
+    if (!reportId) {
+        return { isValid: false, message: "An error occurred while sending the report." }
+    }
+    return { isValid: true, message: "Thank you. Your report has been sent to our moderators." }
+}
+
+/**
+ * Reports a message to the moderators, keeping a snapshot of the message as evidence.
+ * Only the receiver of a message can report it.
+ *
+ * @async
+ * @function reportMessage
+ * @param {string} reporterId - The ID of the user filing the report.
+ * @param {string} messageId - The ID of the reported message.
+ * @param {string} category - The reason for the report, a key of `reportCategories`.
+ * @param {string} note - A free-text note for the moderators, which may be empty.
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function reportMessage(reporterId, messageId, category, note) {
+    const validation = validateReport(category, note)
+    if (!validation.isValid) {
+        return validation
+    }
+    const message = ObjectId.isValid(messageId) ? await persistence.getMessageById(messageId) : null
+    if (!message || message.receiverId.toString() !== reporterId.toString()) {
+        return { isValid: false, message: "You can only report messages you received." }
+    }
+    if (message.deletedAt) {
+        return { isValid: false, message: "This message has been deleted." }
+    }
+    if (await persistence.getOpenReport(reporterId, "message", messageId)) {
+        return { isValid: false, message: "You have already reported this message. Our moderators will review it." }
+    }
+    const sender = await persistence.getUserById(message.senderId)
+    const reportId = await persistence.createReport({
+        reporterId,
+        targetType: "message",
+        targetId: messageId,
+        reportedUserId: message.senderId,
+        category,
+        note: note.trim(),
+        snapshot: {
+            senderUsername: sender ? sender.username : null,
+            receiverId: message.receiverId,
+            message: message.message,
+            timestamp: message.timestamp,
+            editedAt: message.editedAt || null,
+            editHistory: message.editHistory || []
+        }
+    })
+    if (!reportId) {
+        return { isValid: false, message: "An error occurred while sending the report." }
+    }
+    return { isValid: true, message: "Thank you. The message has been reported to our moderators." }
+}
+
+/**
+ * Retrieves one page of the moderation queue.
+ *
+ * @async
+ * @function getModerationQueue
+ * @param {string} status - "open" (the queue itself), "dismissed" or "actioned". Unknown values fall back to "open".
+ * @param {number} [page=1] - The page of reports to return (1-based).
+ * @returns {Object} An object containing the `status` used, the `reports` (newest first, each with its `categoryLabel`
+ * and `isMessageReport`),
+ * `page`, `totalPages` and the number of `openCount` reports.
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function getModerationQueue(status, page = 1) {
+    const reportStatus = ["open", "dismissed", "actioned"].includes(status) ? status : "open"
+    const totalReports = await persistence.countReports(reportStatus)
+    const pagination = clampPage(page, totalReports, reportsPerPage)
+    const reports = await persistence.getReports(reportStatus, (pagination.page - 1) * reportsPerPage, reportsPerPage)
+    return {
+        status: reportStatus,
+        reports: reports.map((report) => ({
+            ...report,
+            categoryLabel: reportCategories[report.category] || report.category,
+            isMessageReport: report.targetType === "message"
+        })),
+        page: pagination.page,
+        totalPages: pagination.totalPages,
+        openCount: reportStatus === "open" ? totalReports : await persistence.countReports("open")
+    }
+}
+
+/**
+ * Closes an open report, either dismissing it or acting on it by hiding the reported message
+ * or suspending the reported user.
+ *
+ * @async
+ * @function resolveReport
+ * @param {string} moderatorId - The ID of the moderator.
+ * @param {string} reportId - The ID of the report.
+ * @param {string} action - "dismiss", "hide-message" (message reports only) or "suspend-user".
+ * @returns {Object} An object containing `isValid` (boolean) and a `message` (string).
+ * @throws Will propagate any errors from the persistence layer.
+ */
+async function resolveReport(moderatorId, reportId, action) {
+    const report = ObjectId.isValid(reportId) ? await persistence.getReportById(reportId) : null
+    if (!report) {
+        return { isValid: false, message: "Report not found." }
+    }
+    if (report.status !== "open") {
+        return { isValid: false, message: "This report has already been reviewed." }
+    }
+    if (action === "dismiss") {
+        await persistence.resolveReport(reportId, "dismissed", moderatorId, "dismissed")
+        return { isValid: true, message: "The report has been dismissed." }
+    }
+    if (action === "hide-message") {
+        if (report.targetType !== "message") {
+            return { isValid: false, message: "Only message reports can hide a message." }
+        }
+        const hiddenMessage = await persistence.hideMessage(report.targetId, moderatorId)
+        if (!hiddenMessage) {
+            return { isValid: false, message: "The message no longer exists." }
+        }
+        await attachCorrections([hiddenMessage])
+        publishConversationEvent("update", hiddenMessage.senderId, hiddenMessage.receiverId, hiddenMessage)
+        await persistence.resolveReport(reportId, "actioned", moderatorId, action)
+        return { isValid: true, message: "The message has been hidden." }
+    }
+    if (action === "suspend-user") {
+        const result = await manageUser(moderatorId, report.reportedUserId.toString(), "suspend",
+            `Report: ${reportCategories[report.category] || report.category}`)
+        if (!result.isValid) {
+            return result
+        }
+        await persistence.resolveReport(reportId, "actioned", moderatorId, action)
+        return result
+    }
+    return { isValid: false, message: "Unknown action." }
+}
+
+/**
+ * Generates a CSRF token and associates it with a session.
+ *
+ * @async
+ * @function generateFormToken
+ * @param {string} key - The session key associated with the user.
+ * @returns {string} The generated CSRF token.
+ * @throws Will propagate any errors from the persistence layer.
+ * @description This function creates a CSRF token, stores it in the session data, and returns the token.
  */
 async function generateFormToken(key) {
     let token = crypto.randomUUID()
@@ -710,6 +3168,25 @@ async function generateFormToken(key) {
     return token
 }
 
+/**
+ * Returns the CSRF token already associated with a session, or generates one if there is none.
+ *
+ * @async
+ * @function getFormToken
+ * @param {string} key - The session key associated with the user.
+ * @returns {string} The CSRF token.
+ * @throws Will propagate any errors from the persistence layer.
+ * @description Pages that are opened often, such as the dashboard, use this function so that loading them
+ * does not replace the token of forms already open in other tabs.
+ */
+async function getFormToken(key) {
+    const sessionData = await persistence.getSession(key)
+    if (sessionData && sessionData.csrfToken) {
+        return sessionData.csrfToken
+    }
+    return await generateFormToken(key)
+}
+
 /**
  * Cancels a CSRF token by removing it from the session data.
  *
@@ -728,16 +3205,28 @@ async function cancelToken(key) {
 module.exports = {
     getUserById, getUserByEmail,
     validateEmail, checkEmailExists, validatePassword, validateUsername, validateProfilePicture,
+    supportedLanguages, languageLevels, isValidLanguageLevel, migrateLanguageLevels,
     createUser,
     getUserByVerificationKey, sendVerificationEmail, verifyEmail,
-    checkLogin,
-    startSession, getSession, deleteSession,
+    checkLogin, unlockAccount, getLoginHistory,
+    startSession, getSession, deleteSession, checkRateLimit,
     storeResetKey, getUserByResetKey, sendPasswordResetEmail, resetPassword, updatePassword,
-    getMatchingUsers,
-    getContacts, addContact, removeContact, blockContact, isBlocked,
-    getProfile,
-    getUserBadges, awardBadge,
-    sendMessage, getConversation,
-    generateFormToken, cancelToken,
+    getRecommendations, searchUsers,
+    getContacts, removeContact, blockContact, isBlocked,
+    sendContactRequest, getPendingContactRequests, respondToContactRequest,
+    getProfile, updateProfile,
+    getUserBadges, initializeBadges, evaluateBadges, getBadgeProgress,
+    leaderboardMetrics, leaderboardPeriods, getLeaderboard,
+    supportedTimeZones, isValidTimeZone, getPracticeSummary, updateDailyGoals,
+    maxMessageLength, sendMessage, subscribeToConversation, getConversation, getConversationPage, getConversationPageAt, searchMessages,
+    exportConversation,
+    canEditMessage, editMessage, deleteMessage, addCorrection,
+    translateMessage, registerTranslationProvider,
+    saveVocabulary, getVocabulary, getDueFlashcards, reviewFlashcard, deleteVocabulary,
+    getInbox, markConversationRead, markMessageRead, getUnreadCount,
+    getPrivacySettings, updatePrivacySettings, exportUserData, deleteAccount,
+    initializeAdmins, listUsers, getUserAccount, manageUser, manageUserBadge,
+    reportCategories, reportUser, reportMessage, getModerationQueue, resolveReport,
+    generateFormToken, getFormToken, cancelToken,
     blockContact, getBlockedContacts, unblockContact
 }
@@ -28,6 +28,16 @@ let users = undefined
 let sessions = undefined
 let messages = undefined
 let badges = undefined
+let contactRequests = undefined
+let corrections = undefined
+let translations = undefined
+let vocabulary = undefined
+let dailyProgress = undefined
+let reports = undefined
+let rateLimits = undefined
+let loginHistory = undefined
+
+const loginHistoryRetentionDays = 90
 
 /**
  * Establishes a connection to the MongoDB database if not already connected.
@@ -47,13 +57,56 @@ async function connectDatabase() {
             sessions = db.collection('sessions')
             messages = db.collection('messages')
             badges = db.collection('badges')
+            contactRequests = db.collection('contactRequests')
+            corrections = db.collection('corrections')
+            translations = db.collection('translations')
+            vocabulary = db.collection('vocabulary')
+            dailyProgress = db.collection('dailyProgress')
+            reports = db.collection('reports')
+            rateLimits = db.collection('rateLimits')
+            loginHistory = db.collection('loginHistory')
             logInfo("Connected to the database.")
+            await createIndexes()
         } catch (error) {
             logError("Failed to connect to the database", error)
         }
     }
 }
 
+/**
+ * Creates the indexes used by the application's queries if they do not already exist.
+ * Called once by `connectDatabase` after the collections are initialized.
+ *
+ * @async
+ * @function createIndexes
+ * @throws Will log an error if an index cannot be created.
+ */
+async function createIndexes() {
+    try {
+        await users.createIndex({ username: 1 })
+        await users.createIndex({ "knownLanguages.language": 1 })
+        await users.createIndex({ "learningLanguages.language": 1 })
+        await contactRequests.createIndex({ receiverId: 1, status: 1 })
+        await contactRequests.createIndex({ senderId: 1, status: 1 })
+        await messages.createIndex({ senderId: 1, receiverId: 1, timestamp: -1 })
+        await messages.createIndex({ receiverId: 1, timestamp: -1 })
+        await messages.createIndex({ message: "text" }, { default_language: "none" })
+        await corrections.createIndex({ messageId: 1, createdAt: 1 })
+        await translations.createIndex({ messageId: 1, targetLanguage: 1 }, { unique: true })
+        await vocabulary.createIndex({ userId: 1, dueAt: 1 })
+        await dailyProgress.createIndex({ userId: 1, day: 1 }, { unique: true })
+        await reports.createIndex({ status: 1, createdAt: -1 })
+        await reports.createIndex({ reporterId: 1, targetType: 1, targetId: 1, status: 1 })
+        await rateLimits.createIndex({ key: 1, windowStart: 1 }, { unique: true })
+        await rateLimits.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+        await loginHistory.createIndex({ userId: 1, timestamp: -1 })
+        await loginHistory.createIndex({ timestamp: 1 }, { expireAfterSeconds: loginHistoryRetentionDays * 24 * 60 * 60 })
+        logInfo("Database indexes are in place.")
+    } catch (error) {
+        logError("Error creating database indexes", error)
+    }
+}
+
 /**
  * Updates specific fields of a user in the database based on their email.
  *
@@ -178,13 +231,14 @@ async function createUser(user) {
  * @function storeKey
  * @param {string} email - The email of the user to associate with the key.
  * @param {string} key - The key to be stored.
- * @param {string} type - The type of key being stored (e.g., "reset", "verification").
+ * @param {string} type - The type of key being stored (e.g., "reset", "verification", "unlock").
+ * @param {number} [validMinutes=5] - How long the key stays valid, in minutes.
  * @throws Will log an error if the key storage operation fails.
  */
-async function storeKey(email, key, type) {
+async function storeKey(email, key, type, validMinutes = 5) {
     try {
         await connectDatabase()
-        const expiry = new Date(Date.now() + 5 * 60 * 1000)
+        const expiry = new Date(Date.now() + validMinutes * 60 * 1000)
         const keyObject = { value: key, expiry }
         const result = await users.updateOne({ email }, { $set: { [`${type}Key`]: keyObject } })
         if (result.modifiedCount > 0) {
@@ -250,6 +304,81 @@ async function clearKey(email, type) {
     }
 }
 
+/**
+ * Counts a failed login attempt against a user's account.
+ *
+ * @async
+ * @function recordFailedLogin
+ * @param {string} userId - The ID of the user.
+ * @returns {number|null} The number of failed attempts since the last successful login or lockout,
+ * or `null` if the operation fails.
+ * @throws Will log an error if the update operation fails.
+ */
+async function recordFailedLogin(userId) {
+    try {
+        await connectDatabase()
+        const user = await users.findOneAndUpdate(
+            { _id: new ObjectId(userId) },
+            { $inc: { failedLoginCount: 1 } },
+            { returnDocument: "after", projection: { failedLoginCount: 1 } }
+        )
+        return user ? user.failedLoginCount : null
+    } catch (error) {
+        logError(`Error recording failed login of userId: ${userId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Saves a login attempt in a user's login history. Entries are removed after `loginHistoryRetentionDays` days.
+ *
+ * @async
+ * @function saveLoginAttempt
+ * @param {string} userId - The ID of the user whose account was logged into.
+ * @param {Object} attempt - The attempt: `ip`, `userAgent`, whether it `isSuccessful` and,
+ * for failed attempts, the `reason` it failed.
+ * @throws Will log an error if the insert operation fails.
+ */
+async function saveLoginAttempt(userId, attempt) {
+    try {
+        await connectDatabase()
+        await loginHistory.insertOne({
+            userId: new ObjectId(userId),
+            timestamp: new Date(),
+            ip: attempt.ip || null,
+            userAgent: attempt.userAgent || null,
+            isSuccessful: attempt.isSuccessful,
+            reason: attempt.reason || null,
+        })
+    } catch (error) {
+        logError(`Error saving login attempt of userId: ${userId} - ${error}`)
+    }
+}
+
+/**
+ * Retrieves the most recent login attempts on a user's account.
+ *
+ * @async
+ * @function getLoginHistory
+ * @param {string} userId - The ID of the user.
+ * @param {number} [limit=0] - The maximum number of attempts to return, or 0 for all of them.
+ * @returns {Array<Object>} The attempts, newest first, or an empty array if the query fails.
+ * @throws Will log an error if the query fails.
+ */
+async function getLoginHistory(userId, limit = 0) {
+    try {
+        await connectDatabase()
+        return await loginHistory
+            .find({ userId: new ObjectId(userId) })
+            .sort({ timestamp: -1 })
+            .limit(limit)
+            .toArray()
+    } catch (error) {
+        logError(`Error fetching login history of userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
 /**
  * Updates the password for a user in the database.
  *
@@ -344,6 +473,77 @@ async function deleteSession(key) {
     }
 }
 
+/**
+ * Counts the sessions of a user that have not expired yet.
+ *
+ * @async
+ * @function countUserSessions
+ * @param {string} userId - The ID of the user.
+ * @returns {number} The number of active sessions.
+ * @throws Will log an error if the count fails.
+ */
+async function countUserSessions(userId) {
+    try {
+        await connectDatabase()
+        return await sessions.countDocuments({
+            "data.userId": { $in: [new ObjectId(userId), userId.toString()] },
+            expiry: { $gte: new Date() }
+        })
+    } catch (error) {
+        logError(`Error counting sessions of userId: ${userId} - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Deletes all the sessions of a user, logging them out everywhere.
+ *
+ * @async
+ * @function deleteUserSessions
+ * @param {string} userId - The ID of the user.
+ * @returns {number} The number of sessions deleted.
+ * @throws Will log an error if the deletion fails.
+ */
+async function deleteUserSessions(userId) {
+    try {
+        await connectDatabase()
+        const result = await sessions.deleteMany({ "data.userId": { $in: [new ObjectId(userId), userId.toString()] } })
+        logInfo(`Deleted ${result.deletedCount} sessions of userId: ${userId}`)
+        return result.deletedCount
+    } catch (error) {
+        logError(`Error deleting sessions of userId: ${userId} - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Counts a request against a rate limit bucket for the current time window.
+ * Counters are removed by MongoDB once they have expired.
+ *
+ * @async
+ * @function incrementRateLimit
+ * @param {string} key - The bucket, naming the limited action and the IP address or account it applies to.
+ * @param {Date} windowStart - The start of the current time window.
+ * @param {Date} expiresAt - The time after which the counter is no longer needed.
+ * @returns {number|null} The number of requests counted in the window so far, including this one,
+ * or `null` if the operation fails.
+ * @throws Will log an error if the update operation fails.
+ */
+async function incrementRateLimit(key, windowStart, expiresAt) {
+    try {
+        await connectDatabase()
+        const counter = await rateLimits.findOneAndUpdate(
+            { key, windowStart },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+            { upsert: true, returnDocument: "after" }
+        )
+        return counter ? counter.count : null
+    } catch (error) {
+        logError(`Error incrementing rate limit for key: ${key} - ${error}`)
+        return null
+    }
+}
+
 /**
  * Updates the data of an existing session in the database by its session key.
  *
@@ -376,23 +576,36 @@ async function updateSession(key, data) {
 }
 
 /**
- * Finds users whose known languages match the learning languages of a specified user.
+ * Finds candidate partners who know at least one of the target languages at one of the accepted levels.
+ * Excluded users and users who have blocked the given user are left out.
  *
  * @async
  * @function getMatchingUsers
  * @param {string} userId - The ID of the user for whom matching users are to be found.
+ * @param {Array<Object>} targets - A list of `{ language, levels }` objects, where `levels` are the accepted partner levels for `language`.
+ * @param {Array<string>} excludedIds - The IDs of users that must not be returned (e.g., contacts and blocked users).
  * @returns {Array<Object>} An array of matching user objects.
  * @throws Will log an error if the operation to find matching users fails.
  */
-async function getMatchingUsers(userId) {
+async function getMatchingUsers(userId, targets, excludedIds) {
     try {
         await connectDatabase()
-        const user = await users.findOne({ _id: new ObjectId(userId) })
-        let learningLanguages = user.learningLanguages
+        if (targets.length === 0) {
+            logInfo(`No learning languages to match for userId: ${userId}`)
+            return []
+        }
+
+        const excludedObjectIds = [userId.toString(), ...excludedIds]
+            .filter((id) => ObjectId.isValid(id))
+            .map((id) => new ObjectId(id))
 
         const matchingUsers = await users.find({
-                knownLanguages: { $in: learningLanguages },
-                _id: { $ne: new ObjectId(userId)},
+                $or: targets.map((target) => ({
+                    knownLanguages: { $elemMatch: { language: target.language, level: { $in: target.levels } } }
+                })),
+                _id: { $nin: excludedObjectIds },
+                blockedContacts: { $ne: userId.toString() },
+                isSuspended: { $ne: true }
             }).toArray()
 
 
@@ -401,6 +614,211 @@ async function getMatchingUsers(userId) {
     }
     catch (error) {
         logError(`Error finding matching users for userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Builds the query used to search users by username prefix, known language and learning language.
+ *
+ * @function buildUserSearchQuery
+ * @param {string} userId - The ID of the user performing the search, who is excluded from the results.
+ * @param {Object} filters - The search filters: `username` (prefix), `knownLanguage` and `learningLanguage`. Empty filters are ignored.
+ * @param {Array<string>} excludedIds - The IDs of users that must not be returned.
+ * @returns {Object} A MongoDB query object.
+ */
+function buildUserSearchQuery(userId, filters, excludedIds) {
+    const excludedObjectIds = [userId.toString(), ...excludedIds]
+        .filter((id) => ObjectId.isValid(id))
+        .map((id) => new ObjectId(id))
+    const query = {
+        _id: { $nin: excludedObjectIds },
+        blockedContacts: { $ne: userId.toString() },
+        isSuspended: { $ne: true }
+    }
+    if (filters.username) {
+        const escapedPrefix = filters.username.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        query.username = { $regex: `^${escapedPrefix}`, $options: "i" }
+    }
+    if (filters.knownLanguage) {
+        query["knownLanguages.language"] = filters.knownLanguage
+    }
+    if (filters.learningLanguage) {
+        query["learningLanguages.language"] = filters.learningLanguage
+    }
+    return query
+}
+
+/**
+ * Searches users by username prefix, known language and learning language, sorted by username.
+ *
+ * @async
+ * @function searchUsers
+ * @param {string} userId - The ID of the user performing the search.
+ * @param {Object} filters - The search filters: `username` (prefix), `knownLanguage` and `learningLanguage`.
+ * @param {Array<string>} excludedIds - The IDs of users that must not be returned.
+ * @param {number} skip - The number of matching users to skip.
+ * @param {number} limit - The maximum number of users to return.
+ * @returns {Array<Object>} An array of matching user objects.
+ * @throws Will log an error if the search fails.
+ */
+async function searchUsers(userId, filters, excludedIds, skip, limit) {
+    try {
+        await connectDatabase()
+        const results = await users
+            .find(buildUserSearchQuery(userId, filters, excludedIds))
+            .sort({ username: 1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray()
+        logInfo(`Found ${results.length} users in search for userId: ${userId}`)
+        return results
+    } catch (error) {
+        logError(`Error searching users for userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Counts the users matching a search.
+ *
+ * @async
+ * @function countUsers
+ * @param {string} userId - The ID of the user performing the search.
+ * @param {Object} filters - The search filters: `username` (prefix), `knownLanguage` and `learningLanguage`.
+ * @param {Array<string>} excludedIds - The IDs of users that must not be counted.
+ * @returns {number} The number of matching users.
+ * @throws Will log an error if the count fails.
+ */
+async function countUsers(userId, filters, excludedIds) {
+    try {
+        await connectDatabase()
+        return await users.countDocuments(buildUserSearchQuery(userId, filters, excludedIds))
+    } catch (error) {
+        logError(`Error counting users for userId: ${userId} - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Builds the query used to list users by a username or email fragment.
+ *
+ * @function buildUserListQuery
+ * @param {string} search - The text the username or email must contain, or an empty string for all users.
+ * @returns {Object} A MongoDB query object.
+ */
+function buildUserListQuery(search) {
+    if (!search) {
+        return {}
+    }
+    const escapedSearch = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    return {
+        $or: [
+            { username: { $regex: escapedSearch, $options: "i" } },
+            { email: { $regex: escapedSearch, $options: "i" } }
+        ]
+    }
+}
+
+/**
+ * Lists all users, including unverified and suspended ones, optionally filtered by username or email, sorted by username.
+ *
+ * @async
+ * @function listUsers
+ * @param {string} search - The text the username or email must contain, or an empty string for all users.
+ * @param {number} skip - The number of users to skip.
+ * @param {number} limit - The maximum number of users to return.
+ * @returns {Array<Object>} An array of user objects, without their passwords and keys.
+ * @throws Will log an error if the query fails.
+ */
+async function listUsers(search, skip, limit) {
+    try {
+        await connectDatabase()
+        return await users
+            .find(buildUserListQuery(search), { projection: { password: 0, verificationKey: 0, resetKey: 0, unlockKey: 0 } })
+            .sort({ username: 1 })
+            .skip(skip)
+            .limit(limit)
+            .toArray()
+    } catch (error) {
+        logError(`Error listing users - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Counts the users matching a user list search.
+ *
+ * @async
+ * @function countListedUsers
+ * @param {string} search - The text the username or email must contain, or an empty string for all users.
+ * @returns {number} The number of matching users.
+ * @throws Will log an error if the count fails.
+ */
+async function countListedUsers(search) {
+    try {
+        await connectDatabase()
+        return await users.countDocuments(buildUserListQuery(search))
+    } catch (error) {
+        logError(`Error counting listed users - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Records the current time as the last activity of a user.
+ *
+ * @async
+ * @function updateLastActive
+ * @param {string} userId - The ID of the user who was active.
+ * @throws Will log an error if the update operation fails.
+ */
+async function updateLastActive(userId) {
+    try {
+        await connectDatabase()
+        await users.updateOne(
+            { _id: new ObjectId(userId) },
+            { $set: { lastActiveAt: new Date() } }
+        )
+    } catch (error) {
+        logError(`Error updating last activity for userId: ${userId} - ${error}`)
+    }
+}
+
+/**
+ * Converts languages stored as plain strings into `{ language, level }` entries for every user that still has them.
+ *
+ * @async
+ * @function migrateLanguageLevels
+ * @param {string} defaultKnownLevel - The level assigned to migrated known languages.
+ * @param {string} defaultLearningLevel - The level assigned to migrated learning languages.
+ * @throws Will log an error if the migration fails.
+ */
+async function migrateLanguageLevels(defaultKnownLevel, defaultLearningLevel) {
+    try {
+        await connectDatabase()
+        const outdatedUsers = await users.find({
+            $or: [
+                { knownLanguages: { $type: "string" } },
+                { learningLanguages: { $type: "string" } }
+            ]
+        }).toArray()
+
+        const toEntry = (entry, level) => typeof entry === "string" ? { language: entry, level: level } : entry
+        for (const user of outdatedUsers) {
+            await users.updateOne(
+                { _id: user._id },
+                {
+                    $set: {
+                        knownLanguages: (user.knownLanguages || []).map((entry) => toEntry(entry, defaultKnownLevel)),
+                        learningLanguages: (user.learningLanguages || []).map((entry) => toEntry(entry, defaultLearningLevel))
+                    }
+                }
+            )
+        }
+        logInfo(`Migrated language levels for ${outdatedUsers.length} users.`)
+    } catch (error) {
+        logError(`Error migrating language levels - ${error}`)
     }
 }
 
@@ -454,117 +872,326 @@ async function removeContact(userId, contactId) {
 }
 
 /**
- * Retrieves the list of contacts for a specific user from the database.
+ * Creates a new contact request in the database.
  *
  * @async
- * @function getContacts
- * @param {string} userId - The ID of the user whose contacts are to be retrieved.
- * @returns {Array<Object>} An array of contact objects if found, or an empty array if no contacts are available.
- * @throws Will log an error if the operation to retrieve contacts fails.
+ * @function createContactRequest
+ * @param {string} senderId - The ID of the user sending the request.
+ * @param {string} receiverId - The ID of the user receiving the request.
+ * @returns {string|null} The ID of the newly created request, or `null` if the operation fails.
+ * @throws Will log an error if the request creation fails.
  */
-async function getContacts(userId) {
+async function createContactRequest(senderId, receiverId) {
     try {
         await connectDatabase()
-        const user = await users.findOne(
-            { _id: new ObjectId(userId) }
-        )
-        if (!user) {
-            logInfo(`No user found with userId: ${userId}`)
-            return []
-        }
-        if (user.contacts && user.contacts.length > 0) {
-            const contacts = await users.find(
-                { _id: { $in: user.contacts.map(id => new ObjectId(id)) } }
-            ).toArray()
-            logInfo(`Retrieved ${contacts.length} contacts for userId: ${userId}`)
-            return contacts
-        }
-        logInfo(`No contacts found for userId: ${userId}`)
-        return []
+        const result = await contactRequests.insertOne({
+            senderId: new ObjectId(senderId),
+            receiverId: new ObjectId(receiverId),
+            status: "pending",
+            createdAt: new Date()
+        })
+        logInfo(`Contact request created: senderId = ${senderId}, receiverId = ${receiverId}`)
+        return result.insertedId
     } catch (error) {
-        logError(`Error retrieving contacts for userId: ${userId} - ${error}`)
+        logError(`Error creating contact request from senderId: ${senderId} to receiverId: ${receiverId} - ${error}`)
+        return null
     }
 }
 
 /**
- * Blocks a contact for a specific user by adding the contact ID to the user's blocked contacts list.
+ * Retrieves a contact request by its ID.
  *
  * @async
- * @function blockContact
- * @param {string} userId - The ID of the user who wants to block the contact.
- * @param {string} contactId - The ID of the contact to be blocked.
- * @returns {Promise<void>} No return value, but logs the success or failure of the operation.
- * @throws {Error} Logs an error if the block operation fails.
- *
- * @description This function updates the `blockedContacts` array in the user's document by adding
- *              the `contactId` if it doesn't already exist. The operation ensures no duplicates
- *              using `$addToSet`.
+ * @function getContactRequestById
+ * @param {string} requestId - The ID of the contact request.
+ * @returns {Object|null} The contact request if found, or `null` if not found.
+ * @throws Will log an error if the retrieval operation fails.
  */
-async function blockContact(userId, contactId) {
+async function getContactRequestById(requestId) {
     try {
         await connectDatabase()
-        await users.updateOne(
-            { _id: new ObjectId(userId) },
-            { $addToSet: { blockedContacts: contactId } }
-        )
-        logInfo(`User: ${userId} successfully added: ${contactId}`)
+        return await contactRequests.findOne({ _id: new ObjectId(requestId) })
     } catch (error) {
-        logError(`Error blocking contact for userId: ${userId}, contactId: ${contactId} - ${error}`)
+        logError(`Error fetching contact request: requestId = ${requestId} - ${error}`)
+        return null
     }
 }
 
 /**
- * Creates a new badge in the database.
+ * Retrieves the pending contact request sent by one user to another, if any.
  *
  * @async
- * @function createBadge
- * @param {Object} badge - The badge object to be created, containing its properties (e.g., name, description, criteria).
- * @throws Will log an error if the operation to create the badge fails.
+ * @function getPendingContactRequest
+ * @param {string} senderId - The ID of the user who sent the request.
+ * @param {string} receiverId - The ID of the user who received the request.
+ * @returns {Object|null} The pending contact request if found, or `null` otherwise.
+ * @throws Will log an error if the retrieval operation fails.
  */
-async function createBadge(badge) {
+async function getPendingContactRequest(senderId, receiverId) {
     try {
         await connectDatabase()
-        const badgeResult = await badges.insertOne(badge)
-        logInfo(`Badge ${badge.name} created successfully.`)
+        return await contactRequests.findOne({
+            senderId: new ObjectId(senderId),
+            receiverId: new ObjectId(receiverId),
+            status: "pending"
+        })
     } catch (error) {
-        logError(`Error creating badge - ${error}`)
+        logError(`Error fetching pending contact request from senderId: ${senderId} to receiverId: ${receiverId} - ${error}`)
+        return null
     }
 }
 
 /**
- * Retrieves all badges from the database.
+ * Updates the status of a pending contact request.
  *
  * @async
- * @function getAllBadges
- * @returns {Array<Object>} An array of badge objects.
- * @throws Will log an error if the operation to fetch badges fails.
+ * @function updateContactRequestStatus
+ * @param {string} requestId - The ID of the contact request.
+ * @param {string} status - The new status: "accepted", "declined" or "cancelled".
+ * @returns {boolean} `true` if a pending request was updated, `false` otherwise.
+ * @throws Will log an error if the update operation fails.
  */
-async function getAllBadges() {
+async function updateContactRequestStatus(requestId, status) {
     try {
         await connectDatabase()
-        const result = await badges.find({}).toArray()
-        logInfo("Fetched all badges successfully.", { badgeCount: result.length })
-        return result
+        const result = await contactRequests.updateOne(
+            { _id: new ObjectId(requestId), status: "pending" },
+            { $set: { status: status, respondedAt: new Date() } }
+        )
+        if (result.modifiedCount > 0) {
+            logInfo(`Contact request ${requestId} marked as ${status}.`)
+            return true
+        }
+        logInfo(`No pending contact request found: requestId = ${requestId}`)
+        return false
     } catch (error) {
-        logError(`Error fetching all badges: - ${error}`)
-        return []
+        logError(`Error updating contact request: requestId = ${requestId} - ${error}`)
+        return false
     }
 }
 
 /**
- * Retrieves the badges associated with a specific user from the database.
+ * Retrieves the pending contact requests sent to or by a user, each with the other user's profile attached.
  *
  * @async
- * @function getUserBadges
- * @param {string} userId - The ID of the user whose badges are to be retrieved.
- * @returns {Array<Object>} An array of badge objects, or an empty array if the user has no badges or does not exist.
- * @throws Will log an error if the operation to fetch user badges fails.
+ * @function getPendingContactRequests
+ * @param {string} userId - The ID of the user whose requests are to be retrieved.
+ * @param {string} direction - "incoming" for requests received by the user, "outgoing" for requests sent by the user.
+ * @returns {Array<Object>} An array of contact requests, newest first, each with an `otherUser` property.
+ * @throws Will log an error if the retrieval operation fails.
  */
-async function getUserBadges(userId) {
+async function getPendingContactRequests(userId, direction) {
     try {
         await connectDatabase()
-        const user = await users.findOne(
-            { _id: new ObjectId(userId) },
+        const ownField = direction === "incoming" ? "receiverId" : "senderId"
+        const otherField = direction === "incoming" ? "senderId" : "receiverId"
+        const requests = await contactRequests.aggregate([
+            { $match: { [ownField]: new ObjectId(userId), status: "pending" } },
+            { $sort: { createdAt: -1 } },
+            { $lookup: { from: "users", localField: otherField, foreignField: "_id", as: "otherUser" } },
+            { $unwind: "$otherUser" }
+        ]).toArray()
+        logInfo(`Retrieved ${requests.length} ${direction} contact requests for userId: ${userId}`)
+        return requests
+    } catch (error) {
+        logError(`Error retrieving ${direction} contact requests for userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Retrieves the list of contacts for a specific user from the database.
+ *
+ * @async
+ * @function getContacts
+ * @param {string} userId - The ID of the user whose contacts are to be retrieved.
+ * @returns {Array<Object>} An array of contact objects if found, or an empty array if no contacts are available.
+ * @throws Will log an error if the operation to retrieve contacts fails.
+ */
+async function getContacts(userId) {
+    try {
+        await connectDatabase()
+        const user = await users.findOne(
+            { _id: new ObjectId(userId) }
+        )
+        if (!user) {
+            logInfo(`No user found with userId: ${userId}`)
+            return []
+        }
+        if (user.contacts && user.contacts.length > 0) {
+            const contacts = await users.find(
+                { _id: { $in: user.contacts.map(id => new ObjectId(id)) } }
+            ).toArray()
+            logInfo(`Retrieved ${contacts.length} contacts for userId: ${userId}`)
+            return contacts
+        }
+        logInfo(`No contacts found for userId: ${userId}`)
+        return []
+    } catch (error) {
+        logError(`Error retrieving contacts for userId: ${userId} - ${error}`)
+    }
+}
+
+/**
+ * Retrieves every message a user sent or received, oldest first.
+ *
+ * @async
+ * @function getMessagesInvolvingUser
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} The user's messages, or an empty array if retrieval failed.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getMessagesInvolvingUser(userId) {
+    try {
+        await connectDatabase()
+        const id = new ObjectId(userId)
+        return await messages.find({ $or: [{ senderId: id }, { receiverId: id }] }).sort({ timestamp: 1 }).toArray()
+    } catch (error) {
+        logError(`Error fetching messages involving userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Retrieves the corrections written by a user, oldest first.
+ *
+ * @async
+ * @function getCorrectionsByAuthor
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} The user's corrections, or an empty array if retrieval failed.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getCorrectionsByAuthor(userId) {
+    try {
+        await connectDatabase()
+        return await corrections.find({ authorId: new ObjectId(userId) }).sort({ createdAt: 1 }).toArray()
+    } catch (error) {
+        logError(`Error fetching corrections by authorId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Deletes a user and everything that belongs to them: their sessions, the messages they sent or received with their
+ * corrections and translations, their contact requests, corrections and vocabulary. The user's ID is removed from
+ * other users' contacts and blocked contacts, and other users' vocabulary cards lose their link to the deleted messages.
+ *
+ * @async
+ * @function deleteUserAndData
+ * @param {string} userId - The ID of the user to delete.
+ * @returns {boolean} `true` if the user was deleted, `false` otherwise.
+ * @throws Will log an error if any of the delete operations fails.
+ */
+async function deleteUserAndData(userId) {
+    try {
+        await connectDatabase()
+        const id = new ObjectId(userId)
+        const messageIds = (await messages
+            .find({ $or: [{ senderId: id }, { receiverId: id }] }, { projection: { _id: 1 } })
+            .toArray()).map((message) => message._id)
+
+        await sessions.deleteMany({ "data.userId": { $in: [id, userId.toString()] } })
+        await corrections.deleteMany({ $or: [{ authorId: id }, { messageId: { $in: messageIds } }] })
+        await translations.deleteMany({ messageId: { $in: messageIds } })
+        await vocabulary.deleteMany({ userId: id })
+        await dailyProgress.deleteMany({ userId: id })
+        await reports.deleteMany({ reporterId: id })
+        await loginHistory.deleteMany({ userId: id })
+        await vocabulary.updateMany({ messageId: { $in: messageIds } }, { $unset: { messageId: "", partnerId: "" } })
+        await messages.deleteMany({ _id: { $in: messageIds } })
+        await contactRequests.deleteMany({ $or: [{ senderId: id }, { receiverId: id }] })
+        await users.updateMany(
+            {},
+            { $pull: { contacts: { $in: [userId.toString(), id] }, blockedContacts: { $in: [userId.toString(), id] } } }
+        )
+        const result = await users.deleteOne({ _id: id })
+        logInfo(`User ${userId} and their data deleted.`)
+        return result.deletedCount > 0
+    } catch (error) {
+        logError(`Error deleting userId: ${userId} - ${error}`)
+        return false
+    }
+}
+
+/**
+ * Blocks a contact for a specific user by adding the contact ID to the user's blocked contacts list.
+ *
+ * @async
+ * @function blockContact
+ * @param {string} userId - The ID of the user who wants to block the contact.
+ * @param {string} contactId - The ID of the contact to be blocked.
+ * @returns {Promise<void>} No return value, but logs the success or failure of the operation.
+ * @throws {Error} Logs an error if the block operation fails.
+ *
+ * @description This function updates the `blockedContacts` array in the user's document by adding
+ *              the `contactId` if it doesn't already exist. The operation ensures no duplicates
+ *              using `$addToSet`.
+ */
+async function blockContact(userId, contactId) {
+    try {
+        await connectDatabase()
+        await users.updateOne(
+            { _id: new ObjectId(userId) },
+            { $addToSet: { blockedContacts: contactId } }
+        )
+        logInfo(`User: ${userId} successfully added: ${contactId}`)
+    } catch (error) {
+        logError(`Error blocking contact for userId: ${userId}, contactId: ${contactId} - ${error}`)
+    }
+}
+
+/**
+ * Creates a new badge in the database.
+ *
+ * @async
+ * @function createBadge
+ * @param {Object} badge - The badge object to be created, containing its properties (e.g., name, description, criteria).
+ * @throws Will log an error if the operation to create the badge fails.
+ */
+async function createBadge(badge) {
+    try {
+        await connectDatabase()
+        const badgeResult = await badges.insertOne(badge)
+        logInfo(`Badge ${badge.name} created successfully.`)
+    } catch (error) {
+        logError(`Error creating badge - ${error}`)
+    }
+}
+
+/**
+ * Retrieves all badges from the database.
+ *
+ * @async
+ * @function getAllBadges
+ * @returns {Array<Object>} An array of badge objects.
+ * @throws Will log an error if the operation to fetch badges fails.
+ */
+async function getAllBadges() {
+    try {
+        await connectDatabase()
+        const result = await badges.find({}).toArray()
+        logInfo("Fetched all badges successfully.", { badgeCount: result.length })
+        return result
+    } catch (error) {
+        logError(`Error fetching all badges: - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Retrieves the badges associated with a specific user from the database.
+ *
+ * @async
+ * @function getUserBadges
+ * @param {string} userId - The ID of the user whose badges are to be retrieved.
+ * @returns {Array<Object>} An array of badge objects, or an empty array if the user has no badges or does not exist.
+ * @throws Will log an error if the operation to fetch user badges fails.
+ */
+async function getUserBadges(userId) {
+    try {
+        await connectDatabase()
+        const user = await users.findOne(
+            { _id: new ObjectId(userId) },
             { projection: { badges: 1, _id: 0 } }
         )
         if (!user) {
@@ -595,7 +1222,7 @@ async function awardBadge(userId, badge) {
         const badgeWithTimestamp = { ...badge, timestamp }
         await users.updateOne(
             { _id: new ObjectId(userId) },
-            { $push: { badges: badgeWithTimestamp } }
+            { $push: { badges: badgeWithTimestamp }, $pull: { revokedBadges: badge.name } }
         )
         logInfo(`Badge ${badge.name} awarded successfully to ${userId}.`)
     } catch (error) {
@@ -604,7 +1231,37 @@ async function awardBadge(userId, badge) {
 }
 
 /**
- * Initializes a predefined set of badges in the database if they do not already exist.
+ * Removes a badge from a user and records it as revoked, so that it is not awarded again automatically.
+ *
+ * @async
+ * @function revokeBadge
+ * @param {string} userId - The ID of the user.
+ * @param {string} badgeName - The name of the badge to revoke.
+ * @returns {boolean} `true` if the user had the badge, otherwise `false`.
+ * @throws Will log an error if the operation to revoke the badge fails.
+ */
+async function revokeBadge(userId, badgeName) {
+    try {
+        await connectDatabase()
+        const result = await users.updateOne(
+            { _id: new ObjectId(userId), "badges.name": badgeName },
+            { $pull: { badges: { name: badgeName } }, $addToSet: { revokedBadges: badgeName } }
+        )
+        logInfo(`Badge ${badgeName} revoked from ${userId}.`)
+        return result.modifiedCount > 0
+    } catch (error) {
+        logError(`Error revoking badge from userId: ${userId} - ${error}`)
+        return false
+    }
+}
+
+/**
+ * Initializes the default badges in the database if they do not already exist.
+ * Each badge describes the criterion used to award it, as a `metric`, a `comparator`, a `threshold`
+ * and an optional `windowDays` (the number of past days counted, or `null` for all time).
+ * Existing badges without a criterion are given the default one, and badges whose image still uses the legacy
+ * `/images/badges/` path are given the new `imageUrl`, both in the "badges" collection and in the copies already
+ * awarded to users. Images changed by an administrator are left as they are.
  *
  * @async
  * @function initializeBadges
@@ -616,19 +1273,71 @@ async function initializeBadges() {
         const badgesToAdd = [
             {
                 name: "First Conversation",
-                imageUrl: "/images/badges/firstConversation.png"
+                description: "Send a message and receive a reply.",
+                imageUrl: "/badges/firstConversation.png",
+                criterion: { metric: "repliesReceived", comparator: "gte", threshold: 1, windowDays: null }
             },
             {
                 name: "100 Messages Sent",
-                imageUrl: "/images/badges/Messages100.png"
+                description: "Send 100 messages.",
+                imageUrl: "/badges/Messages100.png",
+                criterion: { metric: "messagesSent", comparator: "gte", threshold: 100, windowDays: null }
+            },
+            {
+                name: "7-Day Streak",
+                description: "Practice 7 days in a row.",
+                icon: "bi-fire",
+                criterion: { metric: "longestStreak", comparator: "gte", threshold: 7, windowDays: null }
+            },
+            {
+                name: "30-Day Streak",
+                description: "Practice 30 days in a row.",
+                icon: "bi-fire",
+                criterion: { metric: "longestStreak", comparator: "gte", threshold: 30, windowDays: null }
+            },
+            {
+                name: "100-Day Streak",
+                description: "Practice 100 days in a row.",
+                icon: "bi-fire",
+                criterion: { metric: "longestStreak", comparator: "gte", threshold: 100, windowDays: null }
+            },
+            {
+                name: "Polyglot",
+                description: "Converse with partners in 3 different languages.",
+                icon: "bi-translate",
+                criterion: { metric: "languagesPracticed", comparator: "gte", threshold: 3, windowDays: null }
+            },
+            {
+                name: "Mentor",
+                description: "Correct the messages of 5 different learners.",
+                icon: "bi-mortarboard",
+                criterion: { metric: "learnersHelped", comparator: "gte", threshold: 5, windowDays: null }
             }
         ]
         for (const badge of badgesToAdd) {
             const existingBadge = await badges.findOne({ name: badge.name })
             if (!existingBadge) {
                 await createBadge(badge)
-            } else {
-                console.log(`Badge "${badge.name}" already exists.`)
+                continue
+            }
+            const updates = {}
+            if (!existingBadge.criterion) {
+                updates.criterion = badge.criterion
+                updates.description = badge.description
+            }
+            if (badge.imageUrl && typeof existingBadge.imageUrl === "string" && existingBadge.imageUrl.startsWith("/images/badges/")) {
+                updates.imageUrl = badge.imageUrl
+            }
+            if (Object.keys(updates).length > 0) {
+                await badges.updateOne({ _id: existingBadge._id }, { $set: updates })
+                logInfo(`Badge "${badge.name}" updated with its default ${Object.keys(updates).join(", ")}.`)
+            }
+            if (badge.imageUrl) {
+                await users.updateMany(
+                    { badges: { $elemMatch: { name: badge.name, imageUrl: { $regex: "^/images/badges/" } } } },
+                    { $set: { "badges.$[awarded].imageUrl": badge.imageUrl } },
+                    { arrayFilters: [{ "awarded.name": badge.name, "awarded.imageUrl": { $regex: "^/images/badges/" } }] }
+                )
             }
         }
         logInfo("Badges initialized successfully.")
@@ -638,54 +1347,1161 @@ async function initializeBadges() {
 }
 
 /**
- * Saves a message in the database between a sender and a receiver.
+ * Counts the messages a user has sent.
  *
  * @async
- * @function saveMessage
- * @param {string} senderId - The ID of the user sending the message.
- * @param {string} receiverId - The ID of the user receiving the message.
- * @param {string} message - The content of the message.
- * @returns {Object} The result of the insert operation.
- * @throws Will log an error if the operation to save the message fails.
+ * @function countMessagesSent
+ * @param {string} userId - The ID of the user.
+ * @param {Date|null} since - Only messages sent from this time on are counted, or all messages if `null`.
+ * @returns {number} The number of messages sent.
+ * @throws Will log an error if the count fails.
  */
-async function saveMessage(senderId, receiverId, message) {
+async function countMessagesSent(userId, since) {
     try {
         await connectDatabase()
-        return await messages.insertOne({
-            senderId: new ObjectId(senderId),
-            receiverId: new ObjectId(receiverId),
-            message,
-            timestamp: new Date(),
-        })
+        const query = { senderId: new ObjectId(userId) }
+        if (since) {
+            query.timestamp = { $gte: since }
+        }
+        return await messages.countDocuments(query)
     } catch (error) {
-        logError(`Error saving message from senderId: ${senderId} to receiverId: ${receiverId} - ${error}`)
+        logError(`Error counting messages sent by userId: ${userId} - ${error}`)
+        return 0
     }
 }
 
 /**
- * Retrieves the conversation between two users, sorted by timestamp in ascending order.
+ * Counts the distinct users a user has exchanged messages with, in either direction.
  *
  * @async
- * @function getConversation
- * @param {string} userId1 - The ID of the first user in the conversation.
- * @param {string} userId2 - The ID of the second user in the conversation.
- * @returns {Array<Object>} An array of message objects representing the conversation.
- * @throws Will log an error if the operation to fetch the conversation fails.
+ * @function countDistinctPartners
+ * @param {string} userId - The ID of the user.
+ * @param {Date|null} since - Only messages from this time on are considered, or all messages if `null`.
+ * @returns {number} The number of distinct conversation partners.
+ * @throws Will log an error if the aggregation fails.
  */
-async function getConversation(userId1, userId2) {
+async function countDistinctPartners(userId, since) {
     try {
         await connectDatabase()
-        return await messages
-            .find({
-                $or: [
-                    { senderId: new ObjectId(userId1), receiverId: new ObjectId(userId2) },
-                    { senderId: new ObjectId(userId2), receiverId: new ObjectId(userId1) },
-                ],
-            })
-            .sort({ timestamp: 1 }
-            ).toArray()
+        const id = new ObjectId(userId)
+        const match = { $or: [{ senderId: id }, { receiverId: id }] }
+        if (since) {
+            match.timestamp = { $gte: since }
+        }
+        const [result] = await messages.aggregate([
+            { $match: match },
+            { $group: { _id: { $cond: [{ $eq: ["$senderId", id] }, "$receiverId", "$senderId"] } } },
+            { $count: "partners" }
+        ]).toArray()
+        return result ? result.partners : 0
     } catch (error) {
-        logError(`Error fetching conversation between userId1: ${userId1} and userId2: ${userId2} - ${error}`)
+        logError(`Error counting partners of userId: ${userId} - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Counts the replies a user has received: messages from another user sent after the user's first message to them.
+ *
+ * @async
+ * @function countRepliesReceived
+ * @param {string} userId - The ID of the user.
+ * @param {Date|null} since - Only replies received from this time on are counted, or all replies if `null`.
+ * @returns {number} The number of replies received.
+ * @throws Will log an error if the aggregation fails.
+ */
+async function countRepliesReceived(userId, since) {
+    try {
+        await connectDatabase()
+        const id = new ObjectId(userId)
+        const [result] = await messages.aggregate([
+            { $match: { senderId: id } },
+            { $group: { _id: "$receiverId", firstSentAt: { $min: "$timestamp" } } },
+            {
+                $lookup: {
+                    from: "messages",
+                    let: { partnerId: "$_id", firstSentAt: "$firstSentAt" },
+                    pipeline: [
+                        { $match: { receiverId: id, ...(since ? { timestamp: { $gte: since } } : {}) } },
+                        { $match: { $expr: { $and: [{ $eq: ["$senderId", "$$partnerId"] }, { $gt: ["$timestamp", "$$firstSentAt"] }] } } },
+                        { $count: "replies" }
+                    ],
+                    as: "replies"
+                }
+            },
+            { $unwind: "$replies" },
+            { $group: { _id: null, replies: { $sum: "$replies.replies" } } }
+        ]).toArray()
+        return result ? result.replies : 0
+    } catch (error) {
+        logError(`Error counting replies received by userId: ${userId} - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Retrieves the distinct days on which a user sent at least one message.
+ *
+ * @async
+ * @function getActiveDays
+ * @param {string} userId - The ID of the user.
+ * @param {Date|null} since - Only messages sent from this time on are considered, or all messages if `null`.
+ * @param {string} timeZone - The IANA time zone the days are counted in (e.g., "Asia/Qatar").
+ * @returns {Array<string>} The active days as YYYY-MM-DD strings, in ascending order.
+ * @throws Will log an error if the aggregation fails.
+ */
+async function getActiveDays(userId, since, timeZone) {
+    try {
+        await connectDatabase()
+        const match = { senderId: new ObjectId(userId) }
+        if (since) {
+            match.timestamp = { $gte: since }
+        }
+        const days = await messages.aggregate([
+            { $match: match },
+            { $group: { _id: { $dateToString: { format: "%Y-%m-%d", date: "$timestamp", timezone: timeZone } } } },
+            { $sort: { _id: 1 } }
+        ]).toArray()
+        return days.map((day) => day._id)
+    } catch (error) {
+        logError(`Error fetching active days of userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Retrieves the users a user has exchanged messages with, in either direction.
+ *
+ * @async
+ * @function getConversationPartners
+ * @param {string} userId - The ID of the user.
+ * @param {Date|null} since - Only messages from this time on are considered, or all messages if `null`.
+ * @returns {Array<Object>} The partners' `_id`, `knownLanguages` and `learningLanguages`.
+ * @throws Will log an error if the aggregation fails.
+ */
+async function getConversationPartners(userId, since) {
+    try {
+        await connectDatabase()
+        const id = new ObjectId(userId)
+        const match = { $or: [{ senderId: id }, { receiverId: id }] }
+        if (since) {
+            match.timestamp = { $gte: since }
+        }
+        return await messages.aggregate([
+            { $match: match },
+            { $group: { _id: { $cond: [{ $eq: ["$senderId", id] }, "$receiverId", "$senderId"] } } },
+            { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "partner" } },
+            { $unwind: "$partner" },
+            { $project: { knownLanguages: "$partner.knownLanguages", learningLanguages: "$partner.learningLanguages" } }
+        ]).toArray()
+    } catch (error) {
+        logError(`Error fetching conversation partners of userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Counts the distinct users whose messages a user has corrected.
+ *
+ * @async
+ * @function countLearnersHelped
+ * @param {string} userId - The ID of the user who wrote the corrections.
+ * @param {Date|null} since - Only corrections written from this time on are counted, or all corrections if `null`.
+ * @returns {number} The number of distinct users helped.
+ * @throws Will log an error if the aggregation fails.
+ */
+async function countLearnersHelped(userId, since) {
+    try {
+        await connectDatabase()
+        const match = { authorId: new ObjectId(userId) }
+        if (since) {
+            match.createdAt = { $gte: since }
+        }
+        const [result] = await corrections.aggregate([
+            { $match: match },
+            { $lookup: { from: "messages", localField: "messageId", foreignField: "_id", as: "message" } },
+            { $unwind: "$message" },
+            { $group: { _id: "$message.senderId" } },
+            { $count: "learners" }
+        ]).toArray()
+        return result ? result.learners : 0
+    } catch (error) {
+        logError(`Error counting learners helped by userId: ${userId} - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Builds the filter that keeps only the users who may appear on leaderboards: users who are not suspended,
+ * have not opted out in their privacy settings and, when a language is given, know or are learning that language.
+ *
+ * @function buildLeaderboardUserMatch
+ * @param {string} language - The language to filter by, or an empty string for all languages.
+ * @param {string} prefix - The path of the user document in the filtered documents (e.g., "user."), or "" for users.
+ * @returns {Object} A MongoDB query object.
+ */
+function buildLeaderboardUserMatch(language, prefix) {
+    const match = { [`${prefix}leaderboardOptOut`]: { $ne: true }, [`${prefix}isSuspended`]: { $ne: true } }
+    if (language) {
+        match.$or = [
+            { [`${prefix}knownLanguages.language`]: language },
+            { [`${prefix}learningLanguages.language`]: language }
+        ]
+    }
+    return match
+}
+
+/**
+ * Ranks users by a leaderboard metric. Messages sent and distinct partners are aggregated over `messages`,
+ * badges earned over the users' `badges`. Users who opted out of leaderboards are excluded.
+ *
+ * @async
+ * @function getLeaderboard
+ * @param {string} metric - The metric to rank by: "messages", "badges" or "partners".
+ * @param {Date|null} since - Only messages sent and badges earned from this time on are counted, or all if `null`.
+ * @param {string} language - Only users who know or are learning this language are ranked, or all users if empty.
+ * @param {number} limit - The maximum number of users to return.
+ * @returns {Array<Object>} The top users, each with `_id`, `username`, `profilePicturePath` and `count`, highest first.
+ * @throws Will log an error if the aggregation fails.
+ */
+async function getLeaderboard(metric, since, language, limit) {
+    try {
+        await connectDatabase()
+        const ranking = [
+            { $sort: { count: -1, username: 1 } },
+            { $limit: limit }
+        ]
+
+        if (metric === "badges") {
+            const badgeStages = [
+                { $match: buildLeaderboardUserMatch(language, "") },
+                { $unwind: "$badges" }
+            ]
+            if (since) {
+                badgeStages.push({ $match: { "badges.timestamp": { $gte: since } } })
+            }
+            return await users.aggregate([
+                ...badgeStages,
+                {
+                    $group: {
+                        _id: "$_id",
+                        username: { $first: "$username" },
+                        profilePicturePath: { $first: "$profilePicturePath" },
+                        count: { $sum: 1 }
+                    }
+                },
+                ...ranking
+            ]).toArray()
+        }
+
+        const messageStages = since ? [{ $match: { timestamp: { $gte: since } } }] : []
+        if (metric === "partners") {
+            messageStages.push(
+                { $project: { pairs: [{ user: "$senderId", partner: "$receiverId" }, { user: "$receiverId", partner: "$senderId" }] } },
+                { $unwind: "$pairs" },
+                { $group: { _id: { user: "$pairs.user", partner: "$pairs.partner" } } },
+                { $group: { _id: "$_id.user", count: { $sum: 1 } } }
+            )
+        } else {
+            messageStages.push({ $group: { _id: "$senderId", count: { $sum: 1 } } })
+        }
+        return await messages.aggregate([
+            ...messageStages,
+            { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "user" } },
+            { $unwind: "$user" },
+            { $match: buildLeaderboardUserMatch(language, "user.") },
+            { $project: { username: "$user.username", profilePicturePath: "$user.profilePicturePath", count: 1 } },
+            ...ranking
+        ]).toArray()
+    } catch (error) {
+        logError(`Error building the ${metric} leaderboard - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Saves a message in the database between a sender and a receiver.
+ *
+ * @async
+ * @function saveMessage
+ * @param {string} senderId - The ID of the user sending the message.
+ * @param {string} receiverId - The ID of the user receiving the message.
+ * @param {string} message - The content of the message.
+ * @param {string|null} language - The language the message is practicing, or `null` if it is not known.
+ * @returns {Object|undefined} The saved message document, including its `_id`, or `undefined` if the operation fails.
+ * @throws Will log an error if the operation to save the message fails.
+ */
+async function saveMessage(senderId, receiverId, message, language) {
+    try {
+        await connectDatabase()
+        const savedMessage = {
+            senderId: new ObjectId(senderId),
+            receiverId: new ObjectId(receiverId),
+            message,
+            language: language || null,
+            timestamp: new Date(),
+        }
+        const result = await messages.insertOne(savedMessage)
+        return { ...savedMessage, _id: result.insertedId }
+    } catch (error) {
+        logError(`Error saving message from senderId: ${senderId} to receiverId: ${receiverId} - ${error}`)
+    }
+}
+
+/**
+ * Retrieves the users a sender has sent a given text to since a date.
+ *
+ * @async
+ * @function getRecipientsOfText
+ * @param {string} senderId - The ID of the user sending the messages.
+ * @param {string} text - The exact text of the messages.
+ * @param {Date} since - Only messages sent from this date are considered.
+ * @returns {Array<ObjectId>} The distinct IDs of the receivers, or an empty array if the operation fails.
+ * @throws Will log an error if the query fails.
+ */
+async function getRecipientsOfText(senderId, text, since) {
+    try {
+        await connectDatabase()
+        return await messages.distinct("receiverId", {
+            senderId: new ObjectId(senderId),
+            message: text,
+            timestamp: { $gte: since },
+        })
+    } catch (error) {
+        logError(`Error retrieving recipients of text from senderId: ${senderId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Counts a sent message towards a user's practice on a day.
+ *
+ * @async
+ * @function recordDailyProgress
+ * @param {string} userId - The ID of the user who sent the message.
+ * @param {string} day - The day in the user's time zone, as a YYYY-MM-DD string.
+ * @param {string|null} language - The language the message is practicing, or `null` if it is not known.
+ * @returns {Object|null} The day's progress, with the `total` messages sent and the `counts` per language,
+ * or `null` if the operation fails.
+ * @throws Will log an error if the update operation fails.
+ */
+async function recordDailyProgress(userId, day, language) {
+    try {
+        await connectDatabase()
+        const increments = { total: 1 }
+        if (language) {
+            increments[`counts.${language}`] = 1
+        }
+        return await dailyProgress.findOneAndUpdate(
+            { userId: new ObjectId(userId), day },
+            { $inc: increments },
+            { upsert: true, returnDocument: "after" }
+        )
+    } catch (error) {
+        logError(`Error recording daily progress of userId: ${userId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Retrieves a user's practice on a day.
+ *
+ * @async
+ * @function getDailyProgress
+ * @param {string} userId - The ID of the user.
+ * @param {string} day - The day in the user's time zone, as a YYYY-MM-DD string.
+ * @returns {Object|null} The day's progress, with the `total` messages sent and the `counts` per language,
+ * or `null` if the user sent nothing that day.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getDailyProgress(userId, day) {
+    try {
+        await connectDatabase()
+        return await dailyProgress.findOne({ userId: new ObjectId(userId), day })
+    } catch (error) {
+        logError(`Error fetching daily progress of userId: ${userId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Retrieves all of a user's daily practice.
+ *
+ * @async
+ * @function getDailyProgressHistory
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} The user's daily progress documents, oldest day first.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getDailyProgressHistory(userId) {
+    try {
+        await connectDatabase()
+        return await dailyProgress.find({ userId: new ObjectId(userId) }).sort({ day: 1 }).toArray()
+    } catch (error) {
+        logError(`Error fetching daily progress history of userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Extends a user's practice streak to a day, unless it already counts that day.
+ * The streak is computed from the stored one in a single update, so concurrent messages cannot overwrite
+ * each other's progress: `current` grows by one if the streak's last day was the previous day and restarts
+ * at 1 otherwise, and `longest` keeps the highest value reached.
+ *
+ * @async
+ * @function extendStreak
+ * @param {string} userId - The ID of the user.
+ * @param {string} day - The day the daily goals were met, as a YYYY-MM-DD string.
+ * @param {string} previousDay - The day before `day`, as a YYYY-MM-DD string.
+ * @returns {boolean} `true` if the streak was updated, `false` if it already counted that day or the update failed.
+ * @throws Will log an error if the update operation fails.
+ */
+async function extendStreak(userId, day, previousDay) {
+    try {
+        await connectDatabase()
+        const result = await users.updateOne(
+            { _id: new ObjectId(userId), "streak.lastDay": { $ne: day } },
+            [
+                {
+                    $set: {
+                        "streak.current": {
+                            $cond: [
+                                { $eq: ["$streak.lastDay", previousDay] },
+                                { $add: [{ $ifNull: ["$streak.current", 0] }, 1] },
+                                1
+                            ]
+                        },
+                        "streak.lastDay": day
+                    }
+                },
+                { $set: { "streak.longest": { $max: [{ $ifNull: ["$streak.longest", 0] }, "$streak.current"] } } }
+            ]
+        )
+        return result.modifiedCount > 0
+    } catch (error) {
+        logError(`Error updating streak of userId: ${userId} - ${error}`)
+        return false
+    }
+}
+
+/**
+ * Retrieves a message by its ID.
+ *
+ * @async
+ * @function getMessageById
+ * @param {string} messageId - The ID of the message.
+ * @returns {Object|null} The message if found, or `null` if not found.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getMessageById(messageId) {
+    try {
+        await connectDatabase()
+        return await messages.findOne({ _id: new ObjectId(messageId) })
+    } catch (error) {
+        logError(`Error fetching message: messageId = ${messageId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Replaces the text of a message sent by a user, keeping the previous text in the message's edit history.
+ *
+ * @async
+ * @function updateMessageText
+ * @param {string} messageId - The ID of the message to edit.
+ * @param {string} senderId - The ID of the user who sent the message.
+ * @param {string} previousText - The text being replaced, appended to `editHistory`.
+ * @param {string} newText - The new text of the message.
+ * @returns {Object|null} The updated message, or `null` if no matching message was found.
+ * @throws Will log an error if the update operation fails.
+ */
+async function updateMessageText(messageId, senderId, previousText, newText) {
+    try {
+        await connectDatabase()
+        const editedAt = new Date()
+        const updatedMessage = await messages.findOneAndUpdate(
+            { _id: new ObjectId(messageId), senderId: new ObjectId(senderId), deletedAt: { $exists: false } },
+            {
+                $set: { message: newText, editedAt: editedAt },
+                $push: { editHistory: { message: previousText, editedAt: editedAt } }
+            },
+            { returnDocument: "after" }
+        )
+        logInfo(`Message ${messageId} edited by senderId: ${senderId}`)
+        return updatedMessage
+    } catch (error) {
+        logError(`Error editing message: messageId = ${messageId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Soft-deletes a message sent by a user by recording when it was deleted. The text is kept in the database.
+ *
+ * @async
+ * @function softDeleteMessage
+ * @param {string} messageId - The ID of the message to delete.
+ * @param {string} senderId - The ID of the user who sent the message.
+ * @returns {Object|null} The updated message, or `null` if no matching message was found.
+ * @throws Will log an error if the update operation fails.
+ */
+async function softDeleteMessage(messageId, senderId) {
+    try {
+        await connectDatabase()
+        const deletedMessage = await messages.findOneAndUpdate(
+            { _id: new ObjectId(messageId), senderId: new ObjectId(senderId), deletedAt: { $exists: false } },
+            { $set: { deletedAt: new Date() } },
+            { returnDocument: "after" }
+        )
+        logInfo(`Message ${messageId} deleted by senderId: ${senderId}`)
+        return deletedMessage
+    } catch (error) {
+        logError(`Error deleting message: messageId = ${messageId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Hides a message on behalf of a moderator. Hidden messages are also marked as deleted, so their text is no longer shown.
+ *
+ * @async
+ * @function hideMessage
+ * @param {string} messageId - The ID of the message.
+ * @param {string} moderatorId - The ID of the moderator hiding the message.
+ * @returns {Object|null} The updated message, or `null` if it does not exist or the update failed.
+ * @throws Will log an error if the update operation fails.
+ */
+async function hideMessage(messageId, moderatorId) {
+    try {
+        await connectDatabase()
+        const now = new Date()
+        return await messages.findOneAndUpdate(
+            { _id: new ObjectId(messageId) },
+            [{ $set: { hiddenAt: now, hiddenBy: new ObjectId(moderatorId), deletedAt: { $ifNull: ["$deletedAt", now] } } }],
+            { returnDocument: "after" }
+        )
+    } catch (error) {
+        logError(`Error hiding message: messageId = ${messageId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Saves a correction of a message in the database.
+ *
+ * @async
+ * @function saveCorrection
+ * @param {string} messageId - The ID of the corrected message.
+ * @param {string} authorId - The ID of the user who wrote the correction.
+ * @param {string} originalText - The text of the message at the time it was corrected.
+ * @param {string} correctedText - The corrected text.
+ * @param {string} explanation - An optional explanation of the correction.
+ * @returns {Object|undefined} The saved correction including its `_id`, or `undefined` if saving failed.
+ * @throws Will log an error if the insert operation fails.
+ */
+async function saveCorrection(messageId, authorId, originalText, correctedText, explanation) {
+    try {
+        await connectDatabase()
+        const correction = {
+            messageId: new ObjectId(messageId),
+            authorId: new ObjectId(authorId),
+            originalText: originalText,
+            correctedText: correctedText,
+            explanation: explanation,
+            createdAt: new Date()
+        }
+        const result = await corrections.insertOne(correction)
+        logInfo(`Correction of message ${messageId} saved by authorId: ${authorId}`)
+        return { ...correction, _id: result.insertedId }
+    } catch (error) {
+        logError(`Error saving correction of message ${messageId} by authorId: ${authorId} - ${error}`)
+    }
+}
+
+/**
+ * Retrieves the corrections of a set of messages, oldest first.
+ *
+ * @async
+ * @function getCorrectionsByMessageIds
+ * @param {Array<string>} messageIds - The IDs of the messages.
+ * @returns {Array<Object>} The corrections of the messages, or an empty array if retrieval failed.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getCorrectionsByMessageIds(messageIds) {
+    try {
+        await connectDatabase()
+        return await corrections
+            .find({ messageId: { $in: messageIds.map((id) => new ObjectId(id)) } })
+            .sort({ createdAt: 1 })
+            .toArray()
+    } catch (error) {
+        logError(`Error fetching corrections - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Retrieves the cached translation of a message into a language.
+ *
+ * @async
+ * @function getTranslation
+ * @param {string} messageId - The ID of the message.
+ * @param {string} targetLanguage - The language of the translation.
+ * @returns {Object|null} The cached translation, or `null` if the message has not been translated into the language.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getTranslation(messageId, targetLanguage) {
+    try {
+        await connectDatabase()
+        return await translations.findOne({ messageId: new ObjectId(messageId), targetLanguage: targetLanguage })
+    } catch (error) {
+        logError(`Error fetching translation of message ${messageId} into ${targetLanguage} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Caches the translation of a message into a language, replacing any previous translation into that language.
+ *
+ * @async
+ * @function saveTranslation
+ * @param {string} messageId - The ID of the message.
+ * @param {string} targetLanguage - The language of the translation.
+ * @param {string} sourceText - The text of the message that was translated.
+ * @param {string} provider - The name of the translation provider.
+ * @param {string} text - The translated text.
+ * @throws Will log an error if the update operation fails.
+ */
+async function saveTranslation(messageId, targetLanguage, sourceText, provider, text) {
+    try {
+        await connectDatabase()
+        await translations.updateOne(
+            { messageId: new ObjectId(messageId), targetLanguage: targetLanguage },
+            { $set: { sourceText: sourceText, provider: provider, text: text, translatedAt: new Date() } },
+            { upsert: true }
+        )
+        logInfo(`Translation of message ${messageId} into ${targetLanguage} cached.`)
+    } catch (error) {
+        logError(`Error caching translation of message ${messageId} into ${targetLanguage} - ${error}`)
+    }
+}
+
+/**
+ * Saves a vocabulary card in a user's notebook.
+ *
+ * @async
+ * @function saveVocabularyCard
+ * @param {Object} card - The card to save, including its `userId`, `phrase`, `language` and scheduling fields.
+ * @returns {Object|undefined} The saved card including its `_id`, or `undefined` if saving failed.
+ * @throws Will log an error if the insert operation fails.
+ */
+async function saveVocabularyCard(card) {
+    try {
+        await connectDatabase()
+        const result = await vocabulary.insertOne(card)
+        logInfo(`Vocabulary card saved for userId: ${card.userId}`)
+        return { ...card, _id: result.insertedId }
+    } catch (error) {
+        logError(`Error saving vocabulary card for userId: ${card.userId} - ${error}`)
+    }
+}
+
+/**
+ * Retrieves the vocabulary cards of a user, most recently saved first.
+ *
+ * @async
+ * @function getVocabularyCards
+ * @param {string} userId - The ID of the user.
+ * @returns {Array<Object>} The user's cards, or an empty array if retrieval failed.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getVocabularyCards(userId) {
+    try {
+        await connectDatabase()
+        return await vocabulary.find({ userId: new ObjectId(userId) }).sort({ createdAt: -1 }).toArray()
+    } catch (error) {
+        logError(`Error fetching vocabulary cards for userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Retrieves the vocabulary cards of a user that are due for review by a given time, earliest first.
+ *
+ * @async
+ * @function getDueVocabularyCards
+ * @param {string} userId - The ID of the user.
+ * @param {Date} dueBy - Cards due at or before this time are returned.
+ * @returns {Array<Object>} The due cards, or an empty array if retrieval failed.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getDueVocabularyCards(userId, dueBy) {
+    try {
+        await connectDatabase()
+        return await vocabulary
+            .find({ userId: new ObjectId(userId), dueAt: { $lte: dueBy } })
+            .sort({ dueAt: 1 })
+            .toArray()
+    } catch (error) {
+        logError(`Error fetching due vocabulary cards for userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Retrieves a vocabulary card of a user.
+ *
+ * @async
+ * @function getVocabularyCard
+ * @param {string} cardId - The ID of the card.
+ * @param {string} userId - The ID of the user who owns the card.
+ * @returns {Object|null} The card, or `null` if the user has no such card.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getVocabularyCard(cardId, userId) {
+    try {
+        await connectDatabase()
+        return await vocabulary.findOne({ _id: new ObjectId(cardId), userId: new ObjectId(userId) })
+    } catch (error) {
+        logError(`Error fetching vocabulary card ${cardId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Stores the new schedule of a vocabulary card after a review and appends the review to its history.
+ *
+ * @async
+ * @function recordVocabularyReview
+ * @param {string} cardId - The ID of the card.
+ * @param {string} userId - The ID of the user who owns the card.
+ * @param {Object} schedule - The new `easeFactor`, `interval`, `repetitions` and `dueAt` of the card.
+ * @param {Object} review - The review to append to the card's `reviews`.
+ * @returns {boolean} `true` if the card was updated, `false` otherwise.
+ * @throws Will log an error if the update operation fails.
+ */
+async function recordVocabularyReview(cardId, userId, schedule, review) {
+    try {
+        await connectDatabase()
+        const result = await vocabulary.updateOne(
+            { _id: new ObjectId(cardId), userId: new ObjectId(userId) },
+            { $set: schedule, $push: { reviews: review } }
+        )
+        logInfo(`Review recorded for vocabulary card ${cardId}`)
+        return result.modifiedCount > 0
+    } catch (error) {
+        logError(`Error recording review of vocabulary card ${cardId} - ${error}`)
+        return false
+    }
+}
+
+/**
+ * Deletes a vocabulary card of a user.
+ *
+ * @async
+ * @function deleteVocabularyCard
+ * @param {string} cardId - The ID of the card.
+ * @param {string} userId - The ID of the user who owns the card.
+ * @returns {boolean} `true` if the card was deleted, `false` otherwise.
+ * @throws Will log an error if the delete operation fails.
+ */
+async function deleteVocabularyCard(cardId, userId) {
+    try {
+        await connectDatabase()
+        const result = await vocabulary.deleteOne({ _id: new ObjectId(cardId), userId: new ObjectId(userId) })
+        logInfo(`Vocabulary card ${cardId} deleted by userId: ${userId}`)
+        return result.deletedCount > 0
+    } catch (error) {
+        logError(`Error deleting vocabulary card ${cardId} - ${error}`)
+        return false
+    }
+}
+
+/**
+ * Saves a report about a user or a message in the moderation queue.
+ *
+ * @async
+ * @function createReport
+ * @param {Object} report - The report: `reporterId`, `targetType` ("user" or "message"), `targetId`,
+ * `reportedUserId`, `category`, `note` and a `snapshot` of the reported content.
+ * @returns {ObjectId|undefined} The ID of the new report, or `undefined` if the operation fails.
+ * @throws Will log an error if the report cannot be saved.
+ */
+async function createReport(report) {
+    try {
+        await connectDatabase()
+        const result = await reports.insertOne({
+            reporterId: new ObjectId(report.reporterId),
+            targetType: report.targetType,
+            targetId: new ObjectId(report.targetId),
+            reportedUserId: new ObjectId(report.reportedUserId),
+            category: report.category,
+            note: report.note,
+            snapshot: report.snapshot,
+            status: "open",
+            createdAt: new Date()
+        })
+        logInfo(`Report ${result.insertedId} created by ${report.reporterId}.`)
+        return result.insertedId
+    } catch (error) {
+        logError(`Error creating report by userId: ${report.reporterId} - ${error}`)
+    }
+}
+
+/**
+ * Finds a report a user filed about a user or a message that is still waiting for review.
+ *
+ * @async
+ * @function getOpenReport
+ * @param {string} reporterId - The ID of the user who filed the report.
+ * @param {string} targetType - "user" or "message".
+ * @param {string} targetId - The ID of the reported user or message.
+ * @returns {Object|null} The report, or `null` if there is none.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getOpenReport(reporterId, targetType, targetId) {
+    try {
+        await connectDatabase()
+        return await reports.findOne({
+            reporterId: new ObjectId(reporterId),
+            targetType,
+            targetId: new ObjectId(targetId),
+            status: "open"
+        })
+    } catch (error) {
+        logError(`Error fetching open report by userId: ${reporterId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Retrieves a report by its ID.
+ *
+ * @async
+ * @function getReportById
+ * @param {string} reportId - The ID of the report.
+ * @returns {Object|null} The report if found, or `null` if not found.
+ * @throws Will log an error if the retrieval operation fails.
+ */
+async function getReportById(reportId) {
+    try {
+        await connectDatabase()
+        return await reports.findOne({ _id: new ObjectId(reportId) })
+    } catch (error) {
+        logError(`Error fetching report: reportId = ${reportId} - ${error}`)
+        return null
+    }
+}
+
+/**
+ * Retrieves reports with a status, newest first, with the usernames of the reporter and the reported user.
+ *
+ * @async
+ * @function getReports
+ * @param {string} status - "open", "dismissed" or "actioned".
+ * @param {number} skip - The number of reports to skip.
+ * @param {number} limit - The maximum number of reports to return.
+ * @returns {Array<Object>} The reports, each with `reporter` and `reportedUser` (`_id` and `username`, or `null` if deleted).
+ * @throws Will log an error if the aggregation fails.
+ */
+async function getReports(status, skip, limit) {
+    try {
+        await connectDatabase()
+        return await reports.aggregate([
+            { $match: { status } },
+            { $sort: { createdAt: -1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $lookup: { from: "users", localField: "reporterId", foreignField: "_id", as: "reporter", pipeline: [{ $project: { username: 1 } }] } },
+            { $lookup: { from: "users", localField: "reportedUserId", foreignField: "_id", as: "reportedUser", pipeline: [{ $project: { username: 1, isSuspended: 1 } }] } },
+            { $set: { reporter: { $first: "$reporter" }, reportedUser: { $first: "$reportedUser" } } }
+        ]).toArray()
+    } catch (error) {
+        logError(`Error fetching ${status} reports - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Counts the reports with a status.
+ *
+ * @async
+ * @function countReports
+ * @param {string} status - "open", "dismissed" or "actioned".
+ * @returns {number} The number of reports.
+ * @throws Will log an error if the count fails.
+ */
+async function countReports(status) {
+    try {
+        await connectDatabase()
+        return await reports.countDocuments({ status })
+    } catch (error) {
+        logError(`Error counting ${status} reports - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Closes a report that is still open.
+ *
+ * @async
+ * @function resolveReport
+ * @param {string} reportId - The ID of the report.
+ * @param {string} status - "dismissed" or "actioned".
+ * @param {string} moderatorId - The ID of the moderator closing the report.
+ * @param {string} resolution - What was done about the report (e.g., "dismissed", "hide-message", "suspend-user").
+ * @returns {boolean} `true` if the report was closed, `false` if it was not open or the update failed.
+ * @throws Will log an error if the update operation fails.
+ */
+async function resolveReport(reportId, status, moderatorId, resolution) {
+    try {
+        await connectDatabase()
+        const result = await reports.updateOne(
+            { _id: new ObjectId(reportId), status: "open" },
+            { $set: { status, resolution, resolvedBy: new ObjectId(moderatorId), resolvedAt: new Date() } }
+        )
+        logInfo(`Report ${reportId} resolved as ${status}.`)
+        return result.modifiedCount > 0
+    } catch (error) {
+        logError(`Error resolving report: reportId = ${reportId} - ${error}`)
+        return false
+    }
+}
+
+/**
+ * Retrieves the conversation between two users, sorted by timestamp in ascending order.
+ *
+ * @async
+ * @function getConversation
+ * @param {string} userId1 - The ID of the first user in the conversation.
+ * @param {string} userId2 - The ID of the second user in the conversation.
+ * @returns {Array<Object>} An array of message objects representing the conversation.
+ * @throws Will log an error if the operation to fetch the conversation fails.
+ */
+async function getConversation(userId1, userId2) {
+    try {
+        await connectDatabase()
+        return await messages
+            .find({
+                $or: [
+                    { senderId: new ObjectId(userId1), receiverId: new ObjectId(userId2) },
+                    { senderId: new ObjectId(userId2), receiverId: new ObjectId(userId1) },
+                ],
+            })
+            .sort({ timestamp: 1 }
+            ).toArray()
+    } catch (error) {
+        logError(`Error fetching conversation between userId1: ${userId1} and userId2: ${userId2} - ${error}`)
+    }
+}
+
+/**
+ * Retrieves one page of the conversation between two users, going back in time from a cursor.
+ *
+ * @async
+ * @function getConversationPage
+ * @param {string} userId1 - The ID of the first user in the conversation.
+ * @param {string} userId2 - The ID of the second user in the conversation.
+ * @param {Object|null} before - The cursor `{ timestamp, _id }` of the oldest message already loaded, or `null` to load the latest messages.
+ * @param {number} limit - The maximum number of messages to return.
+ * @returns {Array<Object>} An array of message objects sorted by timestamp in descending order (newest first).
+ * @throws Will log an error if the operation to fetch the conversation fails.
+ */
+async function getConversationPage(userId1, userId2, before, limit) {
+    try {
+        await connectDatabase()
+        const query = {
+            $and: [
+                {
+                    $or: [
+                        { senderId: new ObjectId(userId1), receiverId: new ObjectId(userId2) },
+                        { senderId: new ObjectId(userId2), receiverId: new ObjectId(userId1) },
+                    ]
+                }
+            ]
+        }
+        if (before) {
+            query.$and.push({
+                $or: [
+                    { timestamp: { $lt: before.timestamp } },
+                    { timestamp: before.timestamp, _id: { $lt: new ObjectId(before._id) } }
+                ]
+            })
+        }
+        return await messages
+            .find(query)
+            .sort({ timestamp: -1, _id: -1 })
+            .limit(limit)
+            .toArray()
+    } catch (error) {
+        logError(`Error fetching conversation page between userId1: ${userId1} and userId2: ${userId2} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Runs a full-text search over the messages a user sent or received, best matches first.
+ * Deleted messages are not searched.
+ *
+ * @async
+ * @function searchMessages
+ * @param {string} userId - The ID of the user whose messages are searched.
+ * @param {string} text - The text query, in MongoDB `$text` syntax.
+ * @param {Object} filters - Optional `partnerId`, `from` and `to` (Dates) restricting the results.
+ * @param {number} limit - The maximum number of results.
+ * @returns {Array<Object>} The matching messages, each with its text `score` and the conversation `partner`,
+ * or an empty array if the search failed.
+ * @throws Will log an error if the aggregation fails.
+ */
+async function searchMessages(userId, text, filters, limit) {
+    try {
+        await connectDatabase()
+        const id = new ObjectId(userId)
+        const match = {
+            $text: { $search: text },
+            $or: [{ senderId: id }, { receiverId: id }],
+            deletedAt: { $exists: false }
+        }
+        if (filters.partnerId) {
+            const partnerId = new ObjectId(filters.partnerId)
+            match.$or = [{ senderId: id, receiverId: partnerId }, { senderId: partnerId, receiverId: id }]
+        }
+        if (filters.from || filters.to) {
+            match.timestamp = {}
+            if (filters.from) {
+                match.timestamp.$gte = filters.from
+            }
+            if (filters.to) {
+                match.timestamp.$lte = filters.to
+            }
+        }
+        return await messages.aggregate([
+            { $match: match },
+            { $addFields: { score: { $meta: "textScore" } } },
+            { $sort: { score: -1, timestamp: -1 } },
+            { $limit: limit },
+            { $addFields: { partnerId: { $cond: [{ $eq: ["$senderId", id] }, "$receiverId", "$senderId"] } } },
+            { $lookup: { from: "users", localField: "partnerId", foreignField: "_id", as: "partner" } },
+            { $unwind: "$partner" },
+            { $project: { "partner.password": 0 } }
+        ]).toArray()
+    } catch (error) {
+        logError(`Error searching messages for userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Builds a summary of every conversation a user takes part in, with the partner's profile attached.
+ *
+ * @async
+ * @function getConversationSummaries
+ * @param {string} userId - The ID of the user whose conversations are to be summarized.
+ * @returns {Array<Object>} An array of summaries with `partner`, `lastMessage`, `lastDeletedAt`, `lastTimestamp`,
+ * `lastSenderId` and `unreadCount`, sorted by most recent activity.
+ * @throws Will log an error if the aggregation fails.
+ */
+async function getConversationSummaries(userId) {
+    try {
+        await connectDatabase()
+        const id = new ObjectId(userId)
+        const summaries = await messages.aggregate([
+            { $match: { $or: [{ senderId: id }, { receiverId: id }] } },
+            { $sort: { timestamp: -1 } },
+            {
+                $group: {
+                    _id: { $cond: [{ $eq: ["$senderId", id] }, "$receiverId", "$senderId"] },
+                    lastMessage: { $first: "$message" },
+                    lastDeletedAt: { $first: "$deletedAt" },
+                    lastTimestamp: { $first: "$timestamp" },
+                    lastSenderId: { $first: "$senderId" },
+                    unreadCount: {
+                        $sum: {
+                            $cond: [{ $and: [{ $eq: ["$receiverId", id] }, { $not: [{ $ifNull: ["$readAt", false] }] }] }, 1, 0]
+                        }
+                    }
+                }
+            },
+            { $sort: { lastTimestamp: -1 } },
+            { $lookup: { from: "users", localField: "_id", foreignField: "_id", as: "partner" } },
+            { $unwind: "$partner" }
+        ]).toArray()
+        logInfo(`Built ${summaries.length} conversation summaries for userId: ${userId}`)
+        return summaries
+    } catch (error) {
+        logError(`Error building conversation summaries for userId: ${userId} - ${error}`)
+        return []
+    }
+}
+
+/**
+ * Marks every unread message sent by one user to another as read.
+ *
+ * @async
+ * @function markConversationRead
+ * @param {string} readerId - The ID of the user who read the messages.
+ * @param {string} partnerId - The ID of the user who sent the messages.
+ * @returns {number} The number of messages marked as read.
+ * @throws Will log an error if the update operation fails.
+ */
+async function markConversationRead(readerId, partnerId) {
+    try {
+        await connectDatabase()
+        const result = await messages.updateMany(
+            { senderId: new ObjectId(partnerId), receiverId: new ObjectId(readerId), readAt: { $exists: false } },
+            { $set: { readAt: new Date() } }
+        )
+        if (result.modifiedCount > 0) {
+            logInfo(`Marked ${result.modifiedCount} messages as read: readerId = ${readerId}, partnerId = ${partnerId}`)
+        }
+        return result.modifiedCount
+    } catch (error) {
+        logError(`Error marking messages as read for readerId: ${readerId}, partnerId: ${partnerId} - ${error}`)
+        return 0
+    }
+}
+
+/**
+ * Marks a single message as read if it was sent to the given reader and has not been read yet.
+ *
+ * @async
+ * @function markMessageRead
+ * @param {string} messageId - The ID of the message.
+ * @param {string} readerId - The ID of the user who read the message.
+ * @returns {boolean} `true` if the message was marked as read, `false` otherwise.
+ * @throws Will log an error if the update operation fails.
+ */
+async function markMessageRead(messageId, readerId) {
+    try {
+        await connectDatabase()
+        const result = await messages.updateOne(
+            { _id: new ObjectId(messageId), receiverId: new ObjectId(readerId), readAt: { $exists: false } },
+            { $set: { readAt: new Date() } }
+        )
+        return result.modifiedCount > 0
+    } catch (error) {
+        logError(`Error marking message as read: messageId = ${messageId}, readerId = ${readerId} - ${error}`)
+        return false
+    }
+}
+
+/**
+ * Counts the unread messages received by a user.
+ *
+ * @async
+ * @function countUnreadMessages
+ * @param {string} userId - The ID of the user.
+ * @returns {number} The number of unread messages.
+ * @throws Will log an error if the count fails.
+ */
+async function countUnreadMessages(userId) {
+    try {
+        await connectDatabase()
+        return await messages.countDocuments({ receiverId: new ObjectId(userId), readAt: { $exists: false } })
+    } catch (error) {
+        logError(`Error counting unread messages for userId: ${userId} - ${error}`)
+        return 0
     }
 }
 
@@ -790,12 +2606,25 @@ module.exports = {
     getUserById, getUserByUsername, getUserByEmail,
     createUser,
     storeKey, getUserByKey, clearKey,
-    updatePassword,
-    saveSession, getSession, deleteSession, updateSession,
-    getMatchingUsers,
+    updatePassword, recordFailedLogin, saveLoginAttempt, getLoginHistory,
+    saveSession, getSession, deleteSession, updateSession, countUserSessions, deleteUserSessions,
+    incrementRateLimit,
+    getMatchingUsers, migrateLanguageLevels, updateLastActive,
+    searchUsers, countUsers, listUsers, countListedUsers,
     addContact, removeContact, getContacts,
+    createContactRequest, getContactRequestById, getPendingContactRequest, updateContactRequestStatus, getPendingContactRequests,
     blockContact,
-    getAllBadges, getUserBadges, awardBadge,
-    saveMessage, getConversation, getUserMessages,
-    blockContact, getBlockedContacts, unblockContact
+    getAllBadges, getUserBadges, awardBadge, revokeBadge, initializeBadges,
+    countMessagesSent, countDistinctPartners, countRepliesReceived, getActiveDays, getConversationPartners, countLearnersHelped,
+    getLeaderboard,
+    saveMessage, getRecipientsOfText, recordDailyProgress, getDailyProgress, getDailyProgressHistory, extendStreak,
+    getConversation, getConversationPage, getUserMessages, getMessagesInvolvingUser,
+    getMessageById, updateMessageText, softDeleteMessage, hideMessage,
+    createReport, getOpenReport, getReportById, getReports, countReports, resolveReport,
+    saveCorrection, getCorrectionsByMessageIds, getCorrectionsByAuthor,
+    getTranslation, saveTranslation,
+    saveVocabularyCard, getVocabularyCards, getDueVocabularyCards, getVocabularyCard, recordVocabularyReview, deleteVocabularyCard,
+    searchMessages, getConversationSummaries, markConversationRead, markMessageRead, countUnreadMessages,
+    blockContact, getBlockedContacts, unblockContact,
+    deleteUserAndData
 }
\ No newline at end of file
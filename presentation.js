@@ -5,6 +5,7 @@ const bodyParser = require("body-parser")
 const cookieParser = require("cookie-parser")
 const handlebars = require("express-handlebars")
 const fileUpload = require('express-fileupload')
+const fs = require("fs")
 let app = express()
 
 const hbs = handlebars.create({
@@ -16,6 +17,10 @@ const hbs = handlebars.create({
             const options = { hour: '2-digit', minute: '2-digit', hour12: true }
             const formattedDate = new Date(date).toLocaleTimeString([], options)
             return formattedDate
+        },
+        formatDateTime: function(date) {
+            const options = { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true }
+            return new Date(date).toLocaleString([], options)
         }
     }
 })
@@ -30,6 +35,124 @@ app.use('/badges', express.static(__dirname + '/static/badges'))
 app.use('/images', express.static(__dirname + '/static'))
 app.use(fileUpload())
 
+/**
+ * Normalizes a language selection from a submitted form into an array of supported language names.
+ * A single checked checkbox arrives as a string, several arrive as an array, and none arrive as `undefined`.
+ * 
+ * @param {string|Array<string>|undefined} languages - The raw value of the language field from the request body.
+ * @returns {Array<string>} The selected languages, leaving out empty entries and languages that are not supported.
+ */
+function normalizeLanguages(languages) {
+    return (languages ? (Array.isArray(languages) ? languages : [languages]) : [])
+        .filter((lang) => business.supportedLanguages.includes(lang))
+}
+
+/**
+ * Removes an uploaded profile picture from `static/profilePictures`. The default picture is never removed.
+ * 
+ * @async
+ * @param {string|null} profilePicturePath - The path of the picture, as stored on the user.
+ */
+async function removeProfilePicture(profilePicturePath) {
+    if (profilePicturePath && profilePicturePath.startsWith("/profilePictures/") && !profilePicturePath.includes("defaultProfilePicture")) {
+        try {
+            await fs.promises.unlink(`${__dirname}/static${profilePicturePath}`)
+        } catch (error) {
+            console.error("Error removing profile picture:", error.message)
+        }
+    }
+}
+
+/**
+ * Lists the levels that can be chosen for a language being learned, which are all levels except "native".
+ * 
+ * @returns {Array<string>} The levels.
+ */
+function getLearningLevels() {
+    return business.languageLevels.filter((level) => level !== "native")
+}
+
+/**
+ * Converts a stored message into the shape rendered by the "message" partial of the conversation view.
+ * The text and corrections of deleted messages are left out.
+ * 
+ * @param {Object} message - The message document, with its `corrections` if any.
+ * @param {string} userId - The ID of the user viewing the conversation.
+ * @returns {Object} The message `_id`, text, timestamp, whether the viewing user sent it, whether it has been read,
+ * edited, deleted or hidden by a moderator, its original text if edited, its corrections, and whether the viewing user
+ * may still edit, delete, correct or report it.
+ */
+function toMessagePayload(message, userId) {
+    const isDeleted = !!message.deletedAt
+    const isEdited = !isDeleted && !!message.editedAt
+    const senderIsCurrentUser = message.senderId.toString() === userId.toString()
+    return {
+        _id: message._id,
+        message: isDeleted ? null : message.message,
+        timestamp: message.timestamp,
+        senderIsCurrentUser: senderIsCurrentUser,
+        isSeen: !!message.readAt,
+        isEdited: isEdited,
+        isDeleted: isDeleted,
+        isHidden: !!message.hiddenAt,
+        originalMessage: isEdited && message.editHistory ? message.editHistory[0].message : null,
+        corrections: isDeleted || !message.corrections ? [] : message.corrections.map((correction) => ({
+            diff: correction.diff,
+            explanation: correction.explanation,
+            createdAt: correction.createdAt,
+            authorIsCurrentUser: correction.authorId.toString() === userId.toString()
+        })),
+        canEdit: business.canEditMessage(message, userId),
+        canDelete: !isDeleted && senderIsCurrentUser,
+        canCorrect: !isDeleted && !senderIsCurrentUser,
+        canReport: !isDeleted && !senderIsCurrentUser
+    }
+}
+
+/**
+ * Lists the report categories as options for the report forms.
+ * 
+ * @returns {Array<Object>} The categories, each with its `value` and `label`.
+ */
+function getReportCategoryOptions() {
+    return Object.entries(business.reportCategories).map(([value, label]) => ({ value, label }))
+}
+
+/**
+ * Renders a message with the "message" partial, so that messages pushed to or fetched by the conversation view
+ * look exactly like the ones rendered with the page.
+ * 
+ * @async
+ * @param {Object} message - The message document.
+ * @param {string} userId - The ID of the user viewing the conversation.
+ * @returns {Promise<Object>} The message `_id` and its rendered `html`.
+ */
+async function renderMessage(message, userId) {
+    const html = await hbs.render(`${__dirname}/templates/partials/message.handlebars`, toMessagePayload(message, userId))
+    return { _id: message._id, html }
+}
+
+/**
+ * Pairs each selected language with the proficiency level chosen for it in the submitted form.
+ * The level of a language is read from the `<prefix>Level_<language>` field of the request body.
+ * Languages that are not supported are left out, and "native" is not a valid level for a language being learned.
+ * 
+ * @param {Array<string>} languages - The selected languages, as returned by `normalizeLanguages`.
+ * @param {Object} body - The request body containing the level fields.
+ * @param {string} prefix - The field prefix, either "known" or "learning".
+ * @returns {Array<Object>} An array of `{ language, level }` entries.
+ * @throws {Error} If a selected language has no valid level.
+ */
+function attachLanguageLevels(languages, body, prefix) {
+    return languages.filter((language) => business.supportedLanguages.includes(language)).map((language) => {
+        const level = body[`${prefix}Level_${language}`]
+        if (!business.isValidLanguageLevel(level) || (prefix === "learning" && level === "native")) {
+            throw new Error(`Please select a valid level for ${language}.`)
+        }
+        return { language, level }
+    })
+}
+
 /**
  * Route handler for the "/index" page.
  * Renders the "index" view.
@@ -43,7 +166,7 @@ app.get("/index", (req, res) => {
 
 /**
  * Route handler for the "/sign-up" page.
- * Renders the "signup" view and passes a message from the query string.
+ * Renders the "signup" view and passes a message from the query string, along with the selectable languages and levels.
  * 
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
@@ -51,12 +174,13 @@ app.get("/index", (req, res) => {
  */
 app.get("/sign-up", async (req, res) => {
     const message = req.query.message
-    res.render("signup", { message}) 
+    res.render("signup", { message, languages: business.supportedLanguages, levels: business.languageLevels, learningLevels: getLearningLevels() }) 
 })
 
 /**
  * Route handler for the "/sign-up" page (POST).
  * Handles user registration, validates input, and stores user data.
+ * Sign-up attempts are rate limited per IP address and per email address.
  * 
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
@@ -66,6 +190,8 @@ app.get("/sign-up", async (req, res) => {
  * @param {string} req.body.confirmedPassword - The user's confirmed password.
  * @param {Array<string>} req.body.knownLanguages - List of languages the user speaks fluently.
  * @param {Array<string>} req.body.learningLanguages - List of languages the user wants to learn.
+ * @param {string} req.body.knownLevel_<language> - The user's level in each known language.
+ * @param {string} req.body.learningLevel_<language> - The user's level in each learning language.
  * @param {Object} req.files - The files uploaded with the form, including the profile picture.
  * @param {Object} req.files.profilePicture - The profile picture file.
  * 
@@ -73,21 +199,14 @@ app.get("/sign-up", async (req, res) => {
  * 
  * @returns {void} Redirects to the login page with a success message upon successful registration.
  */
-app.post("/sign-up", async (req, res) => {
+app.post("/sign-up", rateLimit("signUp", (req) => req.body.email, (req, res, message) => {
+    res.render("signup", { message, languages: business.supportedLanguages, levels: business.languageLevels, learningLevels: getLearningLevels() })
+}), async (req, res) => {
     const { username, email, password, confirmedPassword, knownLanguages, learningLanguages } = req.body
     const profilePicture = req.files ? req.files.profilePicture : null
 
-     const knownLanguagesArray = knownLanguages
-        ? Array.isArray(knownLanguages)
-            ? knownLanguages.filter((lang) => lang && lang.trim() !== "")
-            : [knownLanguages].filter((lang) => lang && lang.trim() !== "")
-        : []
-
-    const learningLanguagesArray = learningLanguages
-        ? Array.isArray(learningLanguages)
-            ? learningLanguages.filter((lang) => lang && lang.trim() !== "")
-            : [learningLanguages].filter((lang) => lang && lang.trim() !== "")
-        : []
+    const knownLanguagesArray = normalizeLanguages(knownLanguages)
+    const learningLanguagesArray = normalizeLanguages(learningLanguages)
 
     try {
 
@@ -120,6 +239,9 @@ app.post("/sign-up", async (req, res) => {
             throw new Error("Please select at least one language you would like to learn.")
         }
 
+        const knownLanguageEntries = attachLanguageLevels(knownLanguagesArray, req.body, "known")
+        const learningLanguageEntries = attachLanguageLevels(learningLanguagesArray, req.body, "learning")
+
         if (!isProfilePictureValid.isValid) {
             throw new Error(isProfilePictureValid.message)
         }
@@ -131,7 +253,7 @@ app.post("/sign-up", async (req, res) => {
             await profilePicture.mv(`${__dirname}/static/profilePictures/${uniqueFileName}`)
         }
 
-        await business.createUser(username, email, password, knownLanguagesArray, learningLanguagesArray, profilePicturePath)
+        await business.createUser(username, email, password, knownLanguageEntries, learningLanguageEntries, profilePicturePath)
         await business.sendVerificationEmail(email, username)
         res.redirect(`/login?message=${encodeURIComponent("Registration successful. A verification email has been sent to your inbox.")}&type=success`)
 
@@ -173,6 +295,32 @@ app.get("/verify-email", async (req, res) => {
     }
 })
 
+/**
+ * Route handler for the "/unlock-account" page.
+ * Unlocks an account locked after too many failed login attempts, using the key of the link emailed to the user.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.query.key - The unlock key.
+ * 
+ * @throws {Error} If any error occurs while unlocking the account.
+ * 
+ * @returns {void} Redirects to the login page with a success or error message.
+ */
+app.get("/unlock-account", async (req, res) => {
+    try {
+
+        const result = await business.unlockAccount(req.query.key)
+        res.redirect(`/login?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Account unlock error:", error.message)
+        res.redirect(`/login?message=${encodeURIComponent("An unexpected error occurred. Please try again.")}&type=error`)
+
+    }
+})
+
 /**
  * Route handler for the "/reset-password" page.
  * Renders the password reset page with optional message and type parameters from the query string.
@@ -193,6 +341,7 @@ app.get("/reset-password", async (req, res) => {
 /**
  * Route handler for the "/reset-password" page (POST).
  * Initiates the password reset process by checking if the email exists, storing a reset key, and sending a password reset email.
+ * Reset requests are rate limited per IP address and per email address.
  * 
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
@@ -202,7 +351,9 @@ app.get("/reset-password", async (req, res) => {
  * 
  * @returns {void} Redirects to the reset password page with a success or error message.
  */
-app.post("/reset-password", async (req, res) => {
+app.post("/reset-password", rateLimit("resetPassword", (req) => req.body.email, (req, res, message) => {
+    res.render("resetPassword", { message, type: "error" })
+}), async (req, res) => {
     const email = req.body.email
 
     try {
@@ -318,6 +469,8 @@ app.get("/login", (req, res) => {
 /**
  * Route handler for the "/login" page (POST).
  * Handles the login process by validating the user's credentials and starting a session.
+ * Login attempts are rate limited per IP address and per email address, and saved in the account's login history.
+ * Repeated wrong passwords lock the account for a while.
  * 
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
@@ -328,12 +481,14 @@ app.get("/login", (req, res) => {
  * 
  * @returns {void} Redirects to the dashboard page with a success or error message.
  */
-app.post("/login", async (req, res) => {
+app.post("/login", rateLimit("login", (req) => req.body.email, (req, res, message) => {
+    res.render("login", { message, type: "error" })
+}), async (req, res) => {
     const { email, password } = req.body
 
     try {
 
-        const loginResult = await business.checkLogin(email, password)
+        const loginResult = await business.checkLogin(email, password, { ip: req.ip, userAgent: req.get("User-Agent") })
 
         if (!loginResult.isValid) {
             return res.redirect(`/login?message=${encodeURIComponent(loginResult.message)}&type=error`)
@@ -354,7 +509,9 @@ app.post("/login", async (req, res) => {
 /**
  * Middleware to attach session data to the request object.
  * Verifies the session key from cookies and fetches the session data.
- * If the session is invalid or expired, the user is redirected to the login page.
+ * Also exposes the user's unread message total to the layout through `res.locals.unreadCount`, and whether
+ * the user is an admin through `res.locals.isAdmin`.
+ * If the session is invalid or expired, or the user is suspended, the user is redirected to the login page.
  * 
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
@@ -377,6 +534,9 @@ async function attachSessionData(req, res, next) {
             return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
         }
         req.userId = sessionData.userId
+        res.locals.isLoggedIn = true
+        res.locals.unreadCount = await business.getUnreadCount(sessionData.userId)
+        res.locals.isAdmin = sessionData.isAdmin
         next()
 
     } catch (error) {
@@ -387,15 +547,87 @@ async function attachSessionData(req, res, next) {
     }
 }
 
+/**
+ * Middleware that only lets admins through. Must be used after `attachSessionData`, which looks up the user's role.
+ * Other users are redirected to the dashboard with an error message.
+ * 
+ * @function requireAdmin
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ * 
+ * @returns {void} Calls `next()` if the logged-in user is an admin, otherwise redirects to the dashboard.
+ */
+function requireAdmin(req, res, next) {
+    if (!res.locals.isAdmin) {
+        return res.redirect(`/dashboard?message=${encodeURIComponent("You do not have access to that page.")}&type=error`)
+    }
+    next()
+}
+
+/**
+ * Creates a middleware that applies one of the rate limits checked by `business.checkRateLimit` to a route.
+ * Throttled requests get HTTP 429 with a `Retry-After` header: requests made with `X-Requested-With: XMLHttpRequest`
+ * receive a JSON error, and the others are shown the error on the route's page by `renderThrottled`.
+ * If the limit cannot be checked, the request is let through.
+ * 
+ * @function rateLimit
+ * @param {string} action - The name of the rate limit, e.g. "login".
+ * @param {Function} getAccount - Returns the email address or user ID a request is made for, if known.
+ * @param {Function} renderThrottled - Called with the request, the response and the error message to render the page;
+ * it may return a promise.
+ * 
+ * @returns {Function} The middleware.
+ */
+function rateLimit(action, getAccount, renderThrottled) {
+    return async (req, res, next) => {
+        let result = null
+        try {
+
+            result = await business.checkRateLimit(action, req.ip, getAccount(req))
+
+        } catch (error) {
+
+            console.error(`Error checking the ${action} rate limit:`, error.message)
+            return next()
+
+        }
+        if (result.isValid) {
+            return next()
+        }
+        res.status(429).set("Retry-After", String(result.retryAfterSeconds))
+        if (req.xhr) {
+            return res.json({ error: result.message })
+        }
+        try {
+
+            await renderThrottled(req, res, result.message)
+
+        } catch (error) {
+
+            console.error(`Error rendering the ${action} rate limit error:`, error.message)
+            res.send(result.message)
+
+        }
+    }
+}
+
 /**
  * Route handler for the "/dashboard" page.
- * Fetches and renders the dashboard with the user's data, including matching users.
+ * Fetches and renders the dashboard with the user's data. Without search parameters, the dashboard shows
+ * ranked partner recommendations; with any of them, it shows the matching users sorted by username.
+ * Results are paginated in both cases. The user's daily goals, today's progress and streaks are shown above them.
+ * The goals form reuses the session's CSRF token, so opening the dashboard does not break forms open in other tabs.
  * Requires session data, validated by the `attachSessionData` middleware.
  * 
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @param {string} req.query.message - Optional message to display on the dashboard page.
  * @param {string} req.query.type - Optional type to define the message style (success/error).
+ * @param {string} req.query.search - Optional username prefix to search for.
+ * @param {string} req.query.knows - Optional language the listed users must know.
+ * @param {string} req.query.learns - Optional language the listed users must be learning.
+ * @param {string} req.query.page - Optional page number (1-based).
  * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
  * 
  * @throws {Error} If any error occurs while fetching user data or matching users.
@@ -408,9 +640,53 @@ app.get("/dashboard", attachSessionData, async (req, res) => {
         const type = req.query.type
         const userId = req.userId
         const user = await business.getUserById(userId)
-        const matchingUsers = await business.getMatchingUsers(userId)
 
-        res.render("dashboard", {matchingUsers, userId: userId, username: user.username, message, type})
+        const filters = {
+            username: typeof req.query.search === "string" ? req.query.search.trim() : "",
+            knownLanguage: business.supportedLanguages.includes(req.query.knows) ? req.query.knows : "",
+            learningLanguage: business.supportedLanguages.includes(req.query.learns) ? req.query.learns : ""
+        }
+        const isSearching = !!(filters.username || filters.knownLanguage || filters.learningLanguage)
+        const requestedPage = parseInt(req.query.page, 10) || 1
+
+        const results = isSearching
+            ? await business.searchUsers(userId, filters, requestedPage)
+            : await business.getRecommendations(userId, requestedPage)
+
+        const practice = await business.getPracticeSummary(userId)
+        const goalLanguages = (user.learningLanguages || []).map((entry) => {
+            const goal = practice.goals.find((existing) => existing.language === entry.language)
+            return { language: entry.language, target: goal ? goal.target : 0 }
+        })
+        const csrfToken = await business.getFormToken(req.cookies.sessionKey)
+
+        const pageUrl = (page) => {
+            const params = new URLSearchParams()
+            if (filters.username) params.set("search", filters.username)
+            if (filters.knownLanguage) params.set("knows", filters.knownLanguage)
+            if (filters.learningLanguage) params.set("learns", filters.learningLanguage)
+            params.set("page", page)
+            return `/dashboard?${params.toString()}`
+        }
+
+        res.render("dashboard", {
+            matchingUsers: results.users,
+            userId: userId,
+            username: user.username,
+            message,
+            type,
+            filters,
+            isSearching,
+            languages: business.supportedLanguages,
+            page: results.page,
+            totalPages: results.totalPages,
+            previousPageUrl: results.page > 1 ? pageUrl(results.page - 1) : null,
+            nextPageUrl: results.page < results.totalPages ? pageUrl(results.page + 1) : null,
+            practice,
+            goalLanguages,
+            timeZones: business.supportedTimeZones,
+            csrfToken
+        })
 
     } catch (err) {
 
@@ -420,9 +696,51 @@ app.get("/dashboard", attachSessionData, async (req, res) => {
     }
 })
 
+/**
+ * Route handler for saving the user's daily goals (POST).
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.goal_<language> - The number of messages to send each day in each language the user is learning.
+ * @param {string} req.body.timeZone - The user's time zone, in which days and streaks are counted.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while saving the goals.
+ * 
+ * @returns {void} Redirects to the dashboard with a success or error message.
+ */
+app.post("/goals", attachSessionData, async (req, res) => {
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const goals = Object.keys(req.body)
+            .filter((field) => field.startsWith("goal_"))
+            .map((field) => ({
+                language: field.slice("goal_".length),
+                target: req.body[field] === "" ? 0 : Number(req.body[field])
+            }))
+        const result = await business.updateDailyGoals(req.userId, goals, req.body.timeZone)
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`/dashboard?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error saving daily goals:", error.message)
+        res.redirect(`/dashboard?message=${encodeURIComponent("An error occurred while saving your daily goals.")}&type=error`)
+
+    }
+})
+
 /**
  * Route handler for the "/profile" page.
- * Fetches and renders the user's profile information, including their username, email, profile picture, and badges.
+ * Fetches and renders the user's profile information, including their username, email, profile picture, badges,
+ * daily goals, practice streaks and recent login attempts.
  * Requires session data, validated by the `attachSessionData` middleware.
  * 
  * @param {Object} req - The request object.
@@ -438,13 +756,22 @@ app.get("/profile", attachSessionData, async (req, res) => {
         const userId = req.userId;
 
         const profile = await business.getProfile(userId);
+        const practice = await business.getPracticeSummary(userId)
+        const loginHistory = await business.getLoginHistory(userId)
 
         
         res.render("profile", {
             username: profile.username,
             email: profile.email,
             profilePicture: profile.profilePicture,
-            badges: profile.badges
+            knownLanguages: profile.knownLanguages,
+            learningLanguages: profile.learningLanguages,
+            badges: profile.badges,
+            practice,
+            loginHistory,
+            isOwnProfile: true,
+            message: req.query.message,
+            type: req.query.type
         });
     } catch (error) {
         console.error("Error rendering profile:", error.message);
@@ -452,10 +779,147 @@ app.get("/profile", attachSessionData, async (req, res) => {
     }
 })
 
+/**
+ * Route handler for the "/profile/edit" page.
+ * Renders the profile edit form pre-filled with the user's current username, languages and profile picture.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.query.message - Optional message to display on the edit page.
+ * @param {string} req.query.type - Optional type to define the message style (success/error).
+ * 
+ * @throws {Error} If any error occurs while fetching the profile data.
+ * 
+ * @returns {void} Renders the "editProfile" view with the user's current profile and a CSRF token.
+ */
+app.get("/profile/edit", attachSessionData, async (req, res) => {
+    try {
+        const profile = await business.getProfile(req.userId)
+        const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
+
+        const languages = business.supportedLanguages.map((language) => {
+            const knownEntry = profile.knownLanguages.find((entry) => entry.language === language)
+            const learningEntry = profile.learningLanguages.find((entry) => entry.language === language)
+            return {
+                name: language,
+                isKnown: !!knownEntry,
+                knownLevel: knownEntry ? knownEntry.level : "native",
+                isLearning: !!learningEntry,
+                learningLevel: learningEntry ? learningEntry.level : "A1"
+            }
+        })
+
+        res.render("editProfile", {
+            username: profile.username,
+            profilePicture: profile.profilePicture,
+            languages,
+            levels: business.languageLevels,
+            learningLevels: getLearningLevels(),
+            csrfToken,
+            message: req.query.message,
+            type: req.query.type
+        })
+    } catch (error) {
+        console.error("Error rendering profile edit page:", error.message)
+        res.redirect(`/profile?message=${encodeURIComponent("An error occurred while loading your profile.")}&type=error`)
+    }
+})
+
+/**
+ * Route handler for the "/profile/edit" page (POST).
+ * Validates the submitted username, languages and profile picture, then updates the user's profile.
+ * When a new profile picture is uploaded, the previous picture file is removed from `static/profilePictures`.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * @param {string} req.body.username - The user's new username.
+ * @param {Array<string>} req.body.knownLanguages - List of languages the user speaks fluently.
+ * @param {Array<string>} req.body.learningLanguages - List of languages the user wants to learn.
+ * @param {string} req.body.knownLevel_<language> - The user's level in each known language.
+ * @param {string} req.body.learningLevel_<language> - The user's level in each learning language.
+ * @param {Object} req.files.profilePicture - The optional new profile picture file.
+ * 
+ * @throws {Error} If validation fails for any of the input fields.
+ * 
+ * @returns {void} Redirects to the profile page with a success message, or back to the edit page with an error message.
+ */
+app.post("/profile/edit", attachSessionData, async (req, res) => {
+    const { csrfToken, knownLanguages, learningLanguages } = req.body
+    const username = req.body.username ? req.body.username.trim() : ""
+    const profilePicture = req.files ? req.files.profilePicture : null
+    const userId = req.userId
+
+    const knownLanguagesArray = normalizeLanguages(knownLanguages)
+    const learningLanguagesArray = normalizeLanguages(learningLanguages)
+    let uploadedPicturePath = null
+
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const existingUser = await business.validateUsername(username)
+        const isProfilePictureValid = await business.validateProfilePicture(profilePicture)
+
+        if (!username) {
+            throw new Error("Please enter a username.")
+        }
+
+        if (existingUser && existingUser._id.toString() !== userId.toString()) {
+            throw new Error("Username is already taken. Please choose a different one.")
+        }
+
+        if (knownLanguagesArray.length === 0) {
+            throw new Error("Please select at least one language you speak fluently.")
+        }
+
+        if (learningLanguagesArray.length === 0) {
+            throw new Error("Please select at least one language you would like to learn.")
+        }
+
+        const knownLanguageEntries = attachLanguageLevels(knownLanguagesArray, req.body, "known")
+        const learningLanguageEntries = attachLanguageLevels(learningLanguagesArray, req.body, "learning")
+
+        if (!isProfilePictureValid.isValid) {
+            throw new Error(isProfilePictureValid.message)
+        }
+
+        let profilePicturePath = null
+        if (profilePicture) {
+            const uniqueFileName = `${Date.now()}_${profilePicture.name}`
+            profilePicturePath = `/profilePictures/${uniqueFileName}`
+            await profilePicture.mv(`${__dirname}/static/profilePictures/${uniqueFileName}`)
+            uploadedPicturePath = profilePicturePath
+        }
+
+        const previousPicturePath = await business.updateProfile(userId, username, knownLanguageEntries, learningLanguageEntries, profilePicturePath)
+        uploadedPicturePath = null
+        await business.cancelToken(req.cookies.sessionKey)
+
+        await removeProfilePicture(previousPicturePath)
+
+        res.redirect(`/profile?message=${encodeURIComponent("Your profile has been updated successfully.")}&type=success`)
+
+    } catch (error) {
+
+        console.error("Profile update error:", error.message)
+        await removeProfilePicture(uploadedPicturePath)
+        res.redirect(`/profile/edit?message=${encodeURIComponent(error.message)}&type=error`)
+
+    }
+})
+
 /**
  * GET /contact-profile/:contactId
- * Fetches the profile of a specific contact if the logged-in user is not blocked by the contact.
- * If the user is blocked, a message is displayed instead.
+ * Fetches the profile of a specific contact if the logged-in user is not blocked by the contact,
+ * with a form to report the contact to the moderators. If the user is blocked, a message is displayed instead.
  *
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
@@ -477,12 +941,21 @@ app.get('/contact-profile/:contactId', attachSessionData, async (req, res) => {
             })
         }
         const contactProfile = await business.getProfile(contactId);
+        const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
         res.render('profile', {
             isBlocked: false,
+            contactId,
             username: contactProfile.username,
             email: contactProfile.email,
             profilePicture: contactProfile.profilePicture,
-            badges: contactProfile.badges
+            knownLanguages: contactProfile.knownLanguages,
+            learningLanguages: contactProfile.learningLanguages,
+            badges: contactProfile.badges,
+            canReport: contactId !== loggedInUserId.toString(),
+            reportCategories: getReportCategoryOptions(),
+            csrfToken,
+            message: req.query.message,
+            type: req.query.type
         })
     } catch (error) {
         console.error('Error fetching contact profile:', error.message)
@@ -490,9 +963,47 @@ app.get('/contact-profile/:contactId', attachSessionData, async (req, res) => {
     }
 })
 
+/**
+ * Route handler for reporting a user to the moderators (POST).
+ * Validates the session and CSRF token, then files the report with a snapshot of the user's profile.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.contactId - The ID of the reported user.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.category - The reason for the report.
+ * @param {string} [req.body.note] - An optional note for the moderators.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while filing the report.
+ * 
+ * @returns {void} Redirects to the user's profile with a success or error message.
+ */
+app.post('/contact-profile/:contactId/report', attachSessionData, async (req, res) => {
+    const contactId = req.params.contactId
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.reportUser(req.userId, contactId, req.body.category, req.body.note || "")
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`/contact-profile/${encodeURIComponent(contactId)}?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error reporting user:", error.message)
+        res.redirect(`/contact-profile/${encodeURIComponent(contactId)}?message=${encodeURIComponent("An error occurred while sending the report.")}&type=error`)
+
+    }
+})
+
 /**
  * Route handler for the "/my-contacts" page.
- * Fetches and renders the user's contacts.
+ * Fetches and renders the user's contacts and their pending incoming and outgoing contact requests.
  * Requires session data, validated by the `attachSessionData` middleware.
  * 
  * @param {Object} req - The request object.
@@ -513,11 +1024,17 @@ app.get("/my-contacts", attachSessionData, async (req, res) => {
 
     try {
       const contacts = await business.getContacts(userId)
+      const pendingRequests = await business.getPendingContactRequests(userId)
+      const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
       
       res.render('myContacts', {
         contacts: contacts,
+        incomingRequests: pendingRequests.incoming,
+        outgoingRequests: pendingRequests.outgoing,
+        hasPendingRequests: pendingRequests.incoming.length + pendingRequests.outgoing.length > 0,
         message: message,
-        type: type
+        type: type,
+        csrfToken: csrfToken
       })
     } catch (err) {
       res.status(500).send('Error fetching data');
@@ -553,28 +1070,71 @@ app.post("/remove-contact/:contactId", attachSessionData, async (req, res) => {
 })
 
 /**
- * Route handler for the "/add-contact/:contactId" page.
- * Adds a contact to the user's contact list.
+ * Route handler for sending a contact request (POST).
+ * Sends a contact request to another user. The user is only added as a contact once the request is accepted.
  * Requires session data, validated by the `attachSessionData` middleware.
  * 
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
- * @param {string} req.params.contactId - The ID of the contact to be added.
+ * @param {string} req.params.contactId - The ID of the user to send the request to.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
  * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
  * 
- * @throws {Error} If any error occurs while adding the contact.
+ * @throws {Error} If any error occurs while sending the request.
  * 
  * @returns {void} Redirects to the dashboard page with a success or error message.
  */
-app.get("/add-contact/:contactId", attachSessionData, async (req, res) => {
+app.post("/contact-requests/:contactId", attachSessionData, async (req, res) => {
     try {
         const contactId = req.params.contactId
         const userId = req.userId
 
-        await business.addContact(userId, contactId)
-        res.redirect(`/dashboard?message=${encodeURIComponent("Contact was added successfully!")}&type=success`)
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.sendContactRequest(userId, contactId)
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`/dashboard?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+    } catch (error) {
+        console.error("Error sending contact request:", error.message)
+        res.redirect(`/dashboard?message=${encodeURIComponent("An error occurred while sending the contact request.")}&type=error`)
+    }
+})
+
+/**
+ * Route handler for responding to a contact request (POST).
+ * Accepts or declines an incoming request, or cancels an outgoing one.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.requestId - The ID of the contact request.
+ * @param {string} req.params.action - The action to perform: "accept", "decline" or "cancel".
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * 
+ * @throws {Error} If any error occurs while updating the request.
+ * 
+ * @returns {void} Redirects to the "my-contacts" page with a success or error message.
+ */
+app.post("/contact-requests/:requestId/:action(accept|decline|cancel)", attachSessionData, async (req, res) => {
+    try {
+        const { requestId, action } = req.params
+        const userId = req.userId
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.respondToContactRequest(userId, requestId, action)
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`/my-contacts?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
     } catch (error) {
-        console.error("Error fetching conversation:", error.message)
+        console.error("Error responding to contact request:", error.message)
+        res.redirect(`/my-contacts?message=${encodeURIComponent("An error occurred while updating the contact request.")}&type=error`)
     }
 })
 
@@ -668,57 +1228,266 @@ app.get("/blocked-contacts", attachSessionData, async (req, res) => {
     }
 })
 /**
- * GET /conversation/:receiverId
- * Handles conversation retrieval between the logged-in user (sender) and the specified receiver.
- * Displays a message if the user is blocked; otherwise, renders the conversation.
- *
+ * Route handler for the "/inbox" page.
+ * Lists every conversation partner of the user with the last message, its timestamp and the number of unread messages,
+ * sorted by most recent activity.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * 
+ * @throws {Error} If any error occurs while building the inbox.
+ * 
+ * @returns {void} Renders the "inbox" view with the user's conversations.
+ */
+app.get("/inbox", attachSessionData, async (req, res) => {
+    try {
+        const conversations = await business.getInbox(req.userId)
+        res.render("inbox", { conversations })
+    } catch (error) {
+        console.error("Error fetching inbox:", error.message)
+        res.status(500).send("An error occurred while loading your inbox.")
+    }
+})
+
+/**
+ * Route handler for the "/search" page.
+ * Runs a full-text search over the messages the user sent or received, optionally restricted to one conversation
+ * partner and a date range. Each result links to the conversation at that message.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.query.q - The text to search for.
+ * @param {string} [req.query.partner] - The ID of a conversation partner to restrict the search to.
+ * @param {string} [req.query.from] - The first day of the date range (YYYY-MM-DD).
+ * @param {string} [req.query.to] - The last day of the date range (YYYY-MM-DD).
+ * 
+ * @throws {Error} If any error occurs while searching.
+ * 
+ * @returns {void} Renders the "search" view with the results and the search form filled in.
+ */
+app.get("/search", attachSessionData, async (req, res) => {
+    const filters = {
+        query: req.query.q || "",
+        partnerId: req.query.partner || "",
+        from: req.query.from || "",
+        to: req.query.to || ""
+    }
+
+    try {
+        const conversations = await business.getInbox(req.userId)
+        const partners = conversations.map((conversation) => ({
+            _id: conversation.partner._id.toString(),
+            username: conversation.partner.username
+        }))
+
+        if (!filters.query) {
+            return res.render("search", { filters, partners })
+        }
+
+        const search = await business.searchMessages(req.userId, filters)
+        res.render("search", {
+            filters,
+            partners,
+            results: search.results,
+            hasSearched: true,
+            message: search.message,
+            type: search.isValid ? "success" : "error"
+        })
+    } catch (error) {
+        console.error("Error searching messages:", error.message)
+        res.status(500).send("An error occurred while searching your messages.")
+    }
+})
+
+/**
+ * Renders the conversation between the logged-in user (sender) and the receiver of the route.
+ * Displays a message if the user is blocked; otherwise, renders the latest page of the conversation,
+ * or the page ending with a given message when `at` is set.
+ *
+ * @async
+ * @param {Object} req - The request object, with the `receiverId` route parameter and the logged-in `userId`.
+ * @param {Object} res - The response object.
+ * @param {string} [message] - A message to display above the conversation.
+ * @param {string} [type] - The style of the message (success/error).
+ * @returns {Promise<void>} Resolves once the "conversation" view is rendered.
+ */
+async function renderConversation(req, res, message, type) {
+    const senderId = req.userId;
+    const receiverId = req.params.receiverId;
+
+    const isBlocked = await business.isBlocked(senderId, receiverId)
+
+    const sender = await business.getUserById(senderId)
+    const receiver = await business.getUserById(receiverId)
+
+    if (isBlocked) {
+        return res.render('conversation', {
+            message: "You are blocked by this user and cannot initiate a conversation.",
+            isBlocked: true, 
+            sender: sender.username,
+            receiver: receiver.username
+        })
+    }
+
+    const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
+    const translationLanguage = sender.knownLanguages && sender.knownLanguages.length > 0
+        ? sender.knownLanguages[0].language
+        : "English"
+    const vocabularyLanguage = sender.learningLanguages && sender.learningLanguages.length > 0
+        ? sender.learningLanguages[0].language
+        : translationLanguage
+    await business.markConversationRead(senderId, receiverId)
+    const focusedPage = req.query.at ? await business.getConversationPageAt(senderId, receiverId, req.query.at) : null
+    const page = focusedPage || await business.getConversationPage(senderId, receiverId)
+    const conversation = page.messages.map((message) => toMessagePayload(message, senderId))
+
+    res.render('conversation', {
+        conversation,
+        message,
+        type,
+        olderCursor: page.olderCursor,
+        focusedMessageId: focusedPage ? req.query.at : null,
+        sender: sender.username,
+        receiver: receiver.username,
+        senderId: senderId,
+        receiverId: receiverId,
+        languages: business.supportedLanguages,
+        translationLanguage,
+        vocabularyLanguage,
+        reportCategories: getReportCategoryOptions(),
+        maxMessageLength: business.maxMessageLength,
+        csrfToken,
+        isBlocked: false 
+    })
+}
+
+/**
+ * GET /conversation/:receiverId
+ * Handles conversation retrieval between the logged-in user (sender) and the specified receiver.
+ * Displays a message if the user is blocked; otherwise, renders the latest page of the conversation,
+ * or the page ending with a given message when `at` is set.
+ * Older messages are loaded on demand from "/conversation/:receiverId/messages".
+ *
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @param {string} req.params.receiverId - The ID of the receiver in the conversation.
+ * @param {string} [req.query.at] - The ID of a message of the conversation to show, e.g. from a search result.
  * @param {string} req.userId - The ID of the currently logged-in user (sender) from the session.
  *
  * @returns {void} Renders the "conversation" view or sends an error response.
  */
 app.get('/conversation/:receiverId', attachSessionData, async (req, res) => {
     try {
-        const senderId = req.userId;
-        const receiverId = req.params.receiverId;
-
-        const isBlocked = await business.isBlocked(senderId, receiverId)
+        await renderConversation(req, res, req.query.message, req.query.type)
+    } catch (error) {
+        console.error("Error fetching conversation:", error.message);
+        res.status(500).send("An error occurred while loading the conversation.")
+    }
+})
 
-        const sender = await business.getUserById(senderId)
-        const receiver = await business.getUserById(receiverId)
+/**
+ * GET /conversation/:receiverId/messages
+ * Returns one page of older messages between the logged-in user and the receiver as JSON.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.receiverId - The ID of the other user in the conversation.
+ * @param {string} req.query.before - The cursor of the oldest message already shown.
+ * @param {string} req.userId - The ID of the currently logged-in user from the session.
+ *
+ * @returns {void} Responds with rendered `messages` (oldest first) and `olderCursor`, or an error status if the user is blocked or the cursor is invalid.
+ */
+app.get('/conversation/:receiverId/messages', attachSessionData, async (req, res) => {
+    const userId = req.userId
+    const receiverId = req.params.receiverId
 
-        if (isBlocked) {
-            return res.render('conversation', {
-                message: "You are blocked by this user and cannot initiate a conversation.",
-                isBlocked: true, 
-                sender: sender.username,
-                receiver: receiver.username
-            })
+    try {
+        if (await business.isBlocked(userId, receiverId)) {
+            return res.status(403).json({ error: "You are blocked by this user and cannot initiate a conversation." })
         }
+        const page = await business.getConversationPage(userId, receiverId, req.query.before)
+        res.json({
+            messages: await Promise.all(page.messages.map((message) => renderMessage(message, userId))),
+            olderCursor: page.olderCursor
+        })
+    } catch (error) {
+        console.error("Error fetching older messages:", error.message)
+        res.status(400).json({ error: "An error occurred while loading older messages." })
+    }
+})
 
-        const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
-        const conversation = await business.getConversation(senderId, receiverId)
+/**
+ * GET /conversation/:receiverId/events
+ * Opens a Server-Sent Events stream that pushes new messages between the logged-in user and the receiver
+ * as soon as they are saved, an `update` event when a message is edited or deleted, and a `read` event when
+ * the receiver reads the user's messages. Messages received
+ * through an open stream are marked as read. The stream is authenticated with the `sessionKey` cookie and closes
+ * once the session expires.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.receiverId - The ID of the other user in the conversation.
+ * @param {string} req.userId - The ID of the currently logged-in user from the session.
+ *
+ * @returns {void} Streams `message`, `update` and `read` events, or responds with 403 if the user is blocked by the receiver.
+ */
+app.get('/conversation/:receiverId/events', attachSessionData, async (req, res) => {
+    const userId = req.userId
+    const receiverId = req.params.receiverId
+    const sessionKey = req.cookies.sessionKey
 
-        res.render('conversation', {
-            conversation,
-            sender: sender.username,
-            receiver: receiver.username,
-            senderId: senderId,
-            receiverId: receiverId,
-            csrfToken,
-            isBlocked: false 
-        })
+    try {
+        if (await business.isBlocked(userId, receiverId)) {
+            return res.status(403).send("You are blocked by this user and cannot initiate a conversation.")
+        }
     } catch (error) {
-        console.error("Error fetching conversation:", error.message);
-        res.status(500).send("An error occurred while loading the conversation.")
+        console.error("Error opening conversation stream:", error.message)
+        return res.status(500).send("An error occurred while opening the conversation.")
+    }
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive"
+    })
+    res.flushHeaders()
+
+    const closeStream = () => {
+        clearInterval(heartbeat)
+        unsubscribe()
+        res.end()
     }
+
+    const unsubscribe = business.subscribeToConversation(userId, receiverId, async (type, data) => {
+        if (!await business.getSession(sessionKey)) {
+            res.write("event: expired\ndata: {}\n\n")
+            return closeStream()
+        }
+        if (type === "message" || type === "update") {
+            res.write(`event: ${type}\ndata: ${JSON.stringify(await renderMessage(data, userId))}\n\n`)
+            if (type === "message" && data.receiverId.toString() === userId.toString()) {
+                await business.markMessageRead(data._id, userId, receiverId)
+            }
+        } else if (type === "read" && data.readerId !== userId.toString()) {
+            res.write("event: read\ndata: {}\n\n")
+        }
+    })
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 25000)
+    req.on("close", closeStream)
 })
 
 /**
  * Route handler for sending a message in a conversation.
  * Validates the session and CSRF token, then sends the message and awards badges.
+ * Messages rejected by the message policies are reported back to the conversation view.
+ * Sending is rate limited per IP address and per sender.
+ * Requests made with `X-Requested-With: XMLHttpRequest` receive a JSON response instead of a redirect,
+ * since the message is delivered to both participants through the conversation event stream.
  * Requires session data, validated by the `attachSessionData` middleware.
  * 
  * @param {Object} req - The request object.
@@ -730,9 +1499,11 @@ app.get('/conversation/:receiverId', attachSessionData, async (req, res) => {
  * 
  * @throws {Error} If any error occurs while sending the message or validating the session.
  * 
- * @returns {void} Redirects to the conversation page with the receiver.
+ * @returns {void} Redirects to the conversation page with the receiver, or responds with JSON for asynchronous requests.
  */
-app.post('/conversation/:receiverId', attachSessionData, async (req, res) => {
+app.post('/conversation/:receiverId', attachSessionData, rateLimit("sendMessage", (req) => req.userId, (req, res, message) => {
+    return renderConversation(req, res, message, "error")
+}), async (req, res) => {
     try {
 
         const { message, csrfToken } = req.body
@@ -741,49 +1512,917 @@ app.post('/conversation/:receiverId', attachSessionData, async (req, res) => {
 
         const sessionData = await business.getSession(req.cookies.sessionKey)
         if (!sessionData || sessionData.csrfToken !== csrfToken) {
+            if (req.xhr) {
+                return res.status(403).json({ error: "Your session has expired. Please log in again." })
+            }
             return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
         }
 
-        await business.sendMessage(senderId, receiverId, message)
-        await business.awardBadge(senderId, receiverId)
-        await business.awardBadge(receiverId, senderId)
+        if (await business.isBlocked(senderId, receiverId)) {
+            if (req.xhr) {
+                return res.status(403).json({ error: "You are blocked by this user and cannot initiate a conversation." })
+            }
+            return res.redirect(`/conversation/${receiverId}`)
+        }
+
+        const result = await business.sendMessage(senderId, receiverId, message)
+        if (!result.isValid) {
+            if (req.xhr) {
+                return res.status(400).json({ error: result.message })
+            }
+            return res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent(result.message)}&type=error`)
+        }
+        await business.evaluateBadges(senderId)
+        await business.evaluateBadges(receiverId)
         
+        if (req.xhr) {
+            return res.json({ success: true })
+        }
         res.redirect(`/conversation/${receiverId}`)
 
     } catch (error) {
 
         console.error("Error sending message:", error.message)
+        if (req.xhr) {
+            return res.status(500).json({ error: "An error occurred while sending the message." })
+        }
         res.status(500).send("An error occurred while sending the message.")
 
     }
 })
 
 /**
- * Route handler for the "/badges" page.
- * Fetches and renders the list of badges earned by the logged-in user.
+ * Route handler for editing or deleting a sent message (POST).
+ * Validates the session and CSRF token, then edits the text of the message or soft-deletes it.
+ * Only the sender of a message may edit or delete it, and edits are only allowed for a limited time after sending.
+ * Requests made with `X-Requested-With: XMLHttpRequest` receive a JSON response instead of a redirect.
  * Requires session data, validated by the `attachSessionData` middleware.
  * 
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
+ * @param {string} req.params.receiverId - The ID of the other user in the conversation.
+ * @param {string} req.params.messageId - The ID of the message.
+ * @param {string} req.params.action - "edit" or "delete".
  * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.message - The new text of the message (edit only).
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
  * 
- * @throws {Error} If any error occurs while fetching badges.
+ * @throws {Error} If any error occurs while updating the message.
  * 
- * @returns {void} Renders the "badges" view with the user's earned badges or a message if no badges are earned.
+ * @returns {void} Redirects to the conversation page with a success or error message, or responds with JSON for asynchronous requests.
  */
-app.get("/badges", attachSessionData, async (req, res) => {
+app.post('/conversation/:receiverId/messages/:messageId/:action(edit|delete)', attachSessionData, async (req, res) => {
+    const { receiverId, messageId, action } = req.params
+    const userId = req.userId
+
     try {
-    
-        const userBadges = await business.getUserBadges(req.userId)
-        if (userBadges.length === 0) {
-            return res.render("badges", { message: "You have not earned any badges yet" })
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            if (req.xhr) {
+                return res.status(403).json({ error: "Your session has expired. Please log in again." })
+            }
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = action === "edit"
+            ? await business.editMessage(userId, messageId, req.body.message)
+            : await business.deleteMessage(userId, messageId)
+
+        if (req.xhr) {
+            if (!result.isValid) {
+                return res.status(400).json({ error: result.message })
+            }
+            return res.json(await renderMessage(result.updatedMessage, userId))
         }
-        res.render("badges", { badges: userBadges })
+        res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
 
     } catch (error) {
 
-        console.error("Error fetching badges:", error.message);
-        res.redirect(`/dashboard/test?message=${encodeURIComponent("An error occurred while retrieving the badges.")}&type=error`)
+        console.error(`Error trying to ${action} message:`, error.message)
+        if (req.xhr) {
+            return res.status(500).json({ error: `An error occurred while trying to ${action} the message.` })
+        }
+        res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent(`An error occurred while trying to ${action} the message.`)}&type=error`)
+
+    }
+})
+
+/**
+ * GET /conversation/:receiverId/export
+ * Downloads the whole conversation between the logged-in user and the receiver as JSON, CSV or a plain-text transcript,
+ * including usernames, ISO timestamps, edits and corrections.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.receiverId - The ID of the other user in the conversation.
+ * @param {string} [req.query.format] - "json" (default), "csv" or "txt".
+ * @param {string} req.userId - The ID of the currently logged-in user from the session.
+ *
+ * @returns {void} Sends the file as an attachment, or redirects to the conversation with an error message.
+ */
+app.get('/conversation/:receiverId/export', attachSessionData, async (req, res) => {
+    const userId = req.userId
+    const receiverId = req.params.receiverId
+
+    try {
+        if (await business.isBlocked(userId, receiverId)) {
+            return res.redirect(`/conversation/${receiverId}`)
+        }
+        const result = await business.exportConversation(userId, receiverId, req.query.format || "json")
+        if (!result.isValid) {
+            return res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent(result.message)}&type=error`)
+        }
+        res.attachment(result.fileName)
+        res.type(result.contentType)
+        res.send(result.content)
+    } catch (error) {
+        console.error("Error exporting conversation:", error.message)
+        res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent("An error occurred while exporting the conversation.")}&type=error`)
+    }
+})
+
+/**
+ * GET /conversation/:receiverId/messages/:messageId/translation
+ * Translates a message of the conversation with the configured translation provider and returns it as JSON.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.receiverId - The ID of the other user in the conversation.
+ * @param {string} req.params.messageId - The ID of the message to translate.
+ * @param {string} req.query.language - The language to translate the message into.
+ * @param {string} req.userId - The ID of the currently logged-in user from the session.
+ *
+ * @returns {void} Responds with the `translation` and its `language`, or an error status if the user is blocked
+ * or the message cannot be translated.
+ */
+app.get('/conversation/:receiverId/messages/:messageId/translation', attachSessionData, async (req, res) => {
+    const userId = req.userId
+    const { receiverId, messageId } = req.params
+    const language = req.query.language
+
+    try {
+        if (await business.isBlocked(userId, receiverId)) {
+            return res.status(403).json({ error: "You are blocked by this user and cannot initiate a conversation." })
+        }
+        const result = await business.translateMessage(userId, messageId, language)
+        if (!result.isValid) {
+            return res.status(400).json({ error: result.message })
+        }
+        res.json({ translation: result.translation, language })
+    } catch (error) {
+        console.error("Error translating message:", error.message)
+        res.status(500).json({ error: "An error occurred while translating the message." })
+    }
+})
+
+/**
+ * Route handler for correcting a received message (POST).
+ * Validates the session and CSRF token, then stores the correction, which is shown under the message for both users.
+ * Only the receiver of a message may correct it.
+ * Requests made with `X-Requested-With: XMLHttpRequest` receive a JSON response instead of a redirect.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.receiverId - The ID of the other user in the conversation.
+ * @param {string} req.params.messageId - The ID of the message.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.correctedText - The corrected text of the message.
+ * @param {string} [req.body.explanation] - An optional explanation of the correction.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while saving the correction.
+ * 
+ * @returns {void} Redirects to the conversation page with a success or error message, or responds with JSON for asynchronous requests.
+ */
+app.post('/conversation/:receiverId/messages/:messageId/corrections', attachSessionData, async (req, res) => {
+    const { receiverId, messageId } = req.params
+    const { correctedText, explanation, csrfToken } = req.body
+    const userId = req.userId
+
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== csrfToken) {
+            if (req.xhr) {
+                return res.status(403).json({ error: "Your session has expired. Please log in again." })
+            }
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        if (await business.isBlocked(userId, receiverId)) {
+            if (req.xhr) {
+                return res.status(403).json({ error: "You are blocked by this user." })
+            }
+            return res.redirect(`/conversation/${receiverId}`)
+        }
+
+        const result = await business.addCorrection(userId, receiverId, messageId, correctedText, explanation)
+        if (result.isValid) {
+            await business.evaluateBadges(userId)
+        }
+
+        if (req.xhr) {
+            if (!result.isValid) {
+                return res.status(400).json({ error: result.message })
+            }
+            return res.json(await renderMessage(result.updatedMessage, userId))
+        }
+        res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error correcting message:", error.message)
+        if (req.xhr) {
+            return res.status(500).json({ error: "An error occurred while saving the correction." })
+        }
+        res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent("An error occurred while saving the correction.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for reporting a received message to the moderators (POST).
+ * Validates the session and CSRF token, then files the report with a snapshot of the message.
+ * Only the receiver of a message may report it.
+ * Requests made with `X-Requested-With: XMLHttpRequest` receive a JSON response instead of a redirect.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.receiverId - The ID of the other user in the conversation.
+ * @param {string} req.params.messageId - The ID of the message.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.category - The reason for the report.
+ * @param {string} [req.body.note] - An optional note for the moderators.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while filing the report.
+ * 
+ * @returns {void} Redirects to the conversation page with a success or error message, or responds with JSON for asynchronous requests.
+ */
+app.post('/conversation/:receiverId/messages/:messageId/report', attachSessionData, async (req, res) => {
+    const { receiverId, messageId } = req.params
+    const { category, note, csrfToken } = req.body
+
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== csrfToken) {
+            if (req.xhr) {
+                return res.status(403).json({ error: "Your session has expired. Please log in again." })
+            }
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.reportMessage(req.userId, messageId, category, note || "")
+
+        if (req.xhr) {
+            if (!result.isValid) {
+                return res.status(400).json({ error: result.message })
+            }
+            return res.json({ message: result.message })
+        }
+        res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error reporting message:", error.message)
+        if (req.xhr) {
+            return res.status(500).json({ error: "An error occurred while sending the report." })
+        }
+        res.redirect(`/conversation/${receiverId}?message=${encodeURIComponent("An error occurred while sending the report.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for saving a phrase to the vocabulary notebook (POST).
+ * Validates the session and CSRF token, then saves the phrase as a flashcard linked to the message it was taken from.
+ * Requests made with `X-Requested-With: XMLHttpRequest` receive a JSON response instead of a redirect.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.messageId - The ID of the message the phrase was taken from.
+ * @param {string} req.body.phrase - The phrase to save.
+ * @param {string} req.body.language - The language of the phrase.
+ * @param {string} [req.body.meaning] - An optional meaning or note.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while saving the phrase.
+ * 
+ * @returns {void} Redirects to the vocabulary page with a success or error message, or responds with JSON for asynchronous requests.
+ */
+app.post("/vocabulary", attachSessionData, async (req, res) => {
+    const { messageId, phrase, language, meaning, csrfToken } = req.body
+
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== csrfToken) {
+            if (req.xhr) {
+                return res.status(403).json({ error: "Your session has expired. Please log in again." })
+            }
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.saveVocabulary(req.userId, messageId, phrase, language, meaning)
+
+        if (req.xhr) {
+            if (!result.isValid) {
+                return res.status(400).json({ error: result.message })
+            }
+            return res.json({ message: result.message })
+        }
+        res.redirect(`/vocabulary?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error saving vocabulary:", error.message)
+        if (req.xhr) {
+            return res.status(500).json({ error: "An error occurred while saving the phrase." })
+        }
+        res.redirect(`/vocabulary?message=${encodeURIComponent("An error occurred while saving the phrase.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for the "/vocabulary" page.
+ * Lists the phrases in the user's vocabulary notebook with their language, meaning, next review date
+ * and a link back to the message each phrase was taken from.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.query.message - Optional message to display on the page.
+ * @param {string} req.query.type - Optional type to define the message style (success/error).
+ * 
+ * @throws {Error} If any error occurs while fetching the notebook.
+ * 
+ * @returns {void} Renders the "vocabulary" view with the user's cards and a CSRF token.
+ */
+app.get("/vocabulary", attachSessionData, async (req, res) => {
+    try {
+        const cards = await business.getVocabulary(req.userId)
+        const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
+        res.render("vocabulary", {
+            cards,
+            dueCount: cards.filter((card) => card.isDue).length,
+            csrfToken,
+            message: req.query.message,
+            type: req.query.type
+        })
+    } catch (error) {
+        console.error("Error fetching vocabulary:", error.message)
+        res.status(500).send("An error occurred while loading your vocabulary.")
+    }
+})
+
+/**
+ * Route handler for removing a phrase from the vocabulary notebook (POST).
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.cardId - The ID of the card to remove.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while removing the card.
+ * 
+ * @returns {void} Redirects to the vocabulary page with a success or error message.
+ */
+app.post("/vocabulary/:cardId/delete", attachSessionData, async (req, res) => {
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.deleteVocabulary(req.userId, req.params.cardId)
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`/vocabulary?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error removing vocabulary:", error.message)
+        res.redirect(`/vocabulary?message=${encodeURIComponent("An error occurred while removing the phrase.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for the "/flashcards" page.
+ * Shows the first flashcard due for review today together with the number of cards due today.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.query.message - Optional message to display on the page.
+ * @param {string} req.query.type - Optional type to define the message style (success/error).
+ * 
+ * @throws {Error} If any error occurs while fetching the flashcards.
+ * 
+ * @returns {void} Renders the "flashcards" view with the next card to review and a CSRF token.
+ */
+app.get("/flashcards", attachSessionData, async (req, res) => {
+    try {
+        const dueCards = await business.getDueFlashcards(req.userId)
+        const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
+        res.render("flashcards", {
+            card: dueCards[0],
+            dueCards,
+            dueCount: dueCards.length,
+            csrfToken,
+            message: req.query.message,
+            type: req.query.type
+        })
+    } catch (error) {
+        console.error("Error fetching flashcards:", error.message)
+        res.status(500).send("An error occurred while loading your flashcards.")
+    }
+})
+
+/**
+ * Route handler for reviewing a flashcard (POST).
+ * Records how well the user remembered the card and schedules its next review.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.cardId - The ID of the reviewed card.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.quality - How well the user remembered the card, from 0 to 5.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while saving the review.
+ * 
+ * @returns {void} Redirects to the flashcards page with a success or error message.
+ */
+app.post("/flashcards/:cardId/review", attachSessionData, async (req, res) => {
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.reviewFlashcard(req.userId, req.params.cardId, req.body.quality)
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`/flashcards?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error reviewing flashcard:", error.message)
+        res.redirect(`/flashcards?message=${encodeURIComponent("An error occurred while saving the review.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for the "/badges" page.
+ * Fetches and renders every badge, with the ones earned by the logged-in user first
+ * and the user's progress towards the others.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * 
+ * @throws {Error} If any error occurs while fetching badges.
+ * 
+ * @returns {void} Renders the "badges" view with every badge, and a message if no badges are earned yet.
+ */
+app.get("/badges", attachSessionData, async (req, res) => {
+    try {
+    
+        const badges = await business.getBadgeProgress(req.userId)
+        if (!badges.some((badge) => badge.isEarned)) {
+            return res.render("badges", { message: "You have not earned any badges yet", badges })
+        }
+        res.render("badges", { badges })
+
+    } catch (error) {
+
+        console.error("Error fetching badges:", error.message);
+        res.redirect(`/dashboard/test?message=${encodeURIComponent("An error occurred while retrieving the badges.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for the "/leaderboard" page.
+ * Ranks the most active users by messages sent, badges earned or distinct partners, weekly, monthly or over all time,
+ * optionally among the users who know or are learning a language. Users who opted out are not listed.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.query.metric - Optional metric: "messages" (default), "badges" or "partners".
+ * @param {string} req.query.period - Optional period: "weekly" (default), "monthly" or "allTime".
+ * @param {string} req.query.language - Optional language to filter by.
+ * 
+ * @throws {Error} If any error occurs while building the leaderboard.
+ * 
+ * @returns {void} Renders the "leaderboard" view with the ranked users and the filter options.
+ */
+app.get("/leaderboard", attachSessionData, async (req, res) => {
+    try {
+        const leaderboard = await business.getLeaderboard(req.userId, {
+            metric: req.query.metric,
+            period: req.query.period,
+            language: req.query.language
+        })
+        const privacy = await business.getPrivacySettings(req.userId)
+        const toOptions = (options, selected) => Object.entries(options)
+            .map(([value, option]) => ({ value, label: option.label, selected: value === selected }))
+
+        res.render("leaderboard", {
+            entries: leaderboard.entries,
+            unit: business.leaderboardMetrics[leaderboard.metric].unit,
+            metrics: toOptions(business.leaderboardMetrics, leaderboard.metric),
+            periods: toOptions(business.leaderboardPeriods, leaderboard.period),
+            languages: business.supportedLanguages.map((language) => ({ language, selected: language === leaderboard.language })),
+            isOptedOut: privacy.leaderboardOptOut,
+            message: req.query.message,
+            type: req.query.type
+        })
+    } catch (error) {
+        console.error("Error building leaderboard:", error.message)
+        res.redirect(`/dashboard?message=${encodeURIComponent("An error occurred while loading the leaderboard.")}&type=error`)
+    }
+})
+
+/**
+ * Route handler for the "/account" settings page.
+ * Shows the privacy settings and the forms to download the user's data and to delete the account.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.query.message - Optional message to display on the page.
+ * @param {string} req.query.type - Optional type to define the message style (success/error).
+ * 
+ * @throws {Error} If any error occurs while generating the CSRF token.
+ * 
+ * @returns {void} Renders the "account" view with a CSRF token and the user's privacy settings.
+ */
+app.get("/account", attachSessionData, async (req, res) => {
+    try {
+        const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
+        const privacy = await business.getPrivacySettings(req.userId)
+        res.render("account", { csrfToken, privacy, message: req.query.message, type: req.query.type })
+    } catch (error) {
+        console.error("Error rendering account page:", error.message)
+        res.status(500).send("An error occurred while loading your account settings.")
+    }
+})
+
+/**
+ * Route handler for saving the user's privacy settings (POST).
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.leaderboardOptOut - Present when the user chose to be hidden from leaderboards.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while saving the settings.
+ * 
+ * @returns {void} Redirects to the account page with a success or error message.
+ */
+app.post("/account/privacy", attachSessionData, async (req, res) => {
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.updatePrivacySettings(req.userId, { leaderboardOptOut: !!req.body.leaderboardOptOut })
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`/account?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error saving privacy settings:", error.message)
+        res.redirect(`/account?message=${encodeURIComponent("An error occurred while saving your privacy settings.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for downloading the user's data (POST).
+ * Requires the user's password to be entered again, checked with `checkLogin`.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.password - The user's password.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while building the archive.
+ * 
+ * @returns {void} Sends the archive as a JSON attachment, or redirects to the account page with an error message.
+ */
+app.post("/account/export", attachSessionData, async (req, res) => {
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.exportUserData(req.userId, req.body.password)
+        if (!result.isValid) {
+            return res.redirect(`/account?message=${encodeURIComponent(result.message)}&type=error`)
+        }
+        res.attachment(result.fileName)
+        res.type("application/json")
+        res.send(result.content)
+
+    } catch (error) {
+
+        console.error("Error exporting user data:", error.message)
+        res.redirect(`/account?message=${encodeURIComponent("An error occurred while exporting your data.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for deleting the user's account (POST).
+ * Requires the user's password to be entered again, checked with `checkLogin`. Deletes the user together with their
+ * sessions, messages and other data, removes their profile picture and logs them out.
+ * Requires session data, validated by the `attachSessionData` middleware.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.userId - The ID of the currently logged-in user, extracted from session data.
+ * @param {string} req.body.password - The user's password.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while deleting the account.
+ * 
+ * @returns {void} Redirects to the login page with a success message, or to the account page with an error message.
+ */
+app.post("/account/delete", attachSessionData, async (req, res) => {
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.deleteAccount(req.userId, req.body.password)
+        if (!result.isValid) {
+            return res.redirect(`/account?message=${encodeURIComponent(result.message)}&type=error`)
+        }
+
+        await removeProfilePicture(result.profilePicturePath)
+        res.clearCookie("sessionKey")
+        res.redirect(`/login?message=${encodeURIComponent(result.message)}&type=success`)
+
+    } catch (error) {
+
+        console.error("Error deleting account:", error.message)
+        res.redirect(`/account?message=${encodeURIComponent("An error occurred while deleting your account.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for the "/admin" console.
+ * Lists all users, including unverified and suspended ones, optionally filtered by username or email.
+ * Requires an admin session, validated by the `attachSessionData` and `requireAdmin` middlewares.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.query.search - Optional text the username or email must contain.
+ * @param {string} req.query.page - Optional page number (1-based).
+ * @param {string} req.query.message - Optional message to display on the page.
+ * @param {string} req.query.type - Optional type to define the message style (success/error).
+ * 
+ * @throws {Error} If any error occurs while listing users.
+ * 
+ * @returns {void} Renders the "admin" view with one page of users.
+ */
+app.get("/admin", attachSessionData, requireAdmin, async (req, res) => {
+    try {
+        const search = typeof req.query.search === "string" ? req.query.search.trim() : ""
+        const results = await business.listUsers(search, parseInt(req.query.page, 10) || 1)
+
+        const pageUrl = (page) => {
+            const params = new URLSearchParams()
+            if (search) params.set("search", search)
+            params.set("page", page)
+            return `/admin?${params.toString()}`
+        }
+
+        res.render("admin", {
+            users: results.users,
+            search,
+            page: results.page,
+            totalPages: results.totalPages,
+            previousPageUrl: results.page > 1 ? pageUrl(results.page - 1) : null,
+            nextPageUrl: results.page < results.totalPages ? pageUrl(results.page + 1) : null,
+            message: req.query.message,
+            type: req.query.type
+        })
+    } catch (error) {
+        console.error("Error listing users:", error.message)
+        res.redirect(`/dashboard?message=${encodeURIComponent("An error occurred while loading the admin console.")}&type=error`)
+    }
+})
+
+/**
+ * Route handler for a user's page in the admin console.
+ * Shows the user's account status, active sessions and badges, with the actions admins can take.
+ * Requires an admin session, validated by the `attachSessionData` and `requireAdmin` middlewares.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.userId - The ID of the user.
+ * @param {string} req.query.message - Optional message to display on the page.
+ * @param {string} req.query.type - Optional type to define the message style (success/error).
+ * 
+ * @throws {Error} If any error occurs while fetching the user.
+ * 
+ * @returns {void} Renders the "adminUser" view with a CSRF token, or redirects to the admin console if the user does not exist.
+ */
+app.get("/admin/users/:userId", attachSessionData, requireAdmin, async (req, res) => {
+    try {
+        const account = await business.getUserAccount(req.params.userId)
+        if (!account) {
+            return res.redirect(`/admin?message=${encodeURIComponent("User not found.")}&type=error`)
+        }
+        const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
+        res.render("adminUser", {
+            account,
+            isSelf: account._id.toString() === req.userId.toString(),
+            csrfToken,
+            message: req.query.message,
+            type: req.query.type
+        })
+    } catch (error) {
+        console.error("Error fetching user for admin:", error.message)
+        res.redirect(`/admin?message=${encodeURIComponent("An error occurred while loading the user.")}&type=error`)
+    }
+})
+
+/**
+ * Route handler for the admin actions on a user account (POST): verifying or unverifying the email,
+ * suspending or reinstating the account, and revoking all of its sessions.
+ * Requires an admin session, validated by the `attachSessionData` and `requireAdmin` middlewares.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.userId - The ID of the user.
+ * @param {string} req.params.action - "verify", "unverify", "suspend", "reinstate" or "revoke-sessions".
+ * @param {string} req.body.reason - Optional reason for a suspension.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while applying the action.
+ * 
+ * @returns {void} Redirects to the user's admin page with a success or error message.
+ */
+app.post("/admin/users/:userId/:action(verify|unverify|suspend|reinstate|revoke-sessions)", attachSessionData, requireAdmin, async (req, res) => {
+    const userUrl = `/admin/users/${encodeURIComponent(req.params.userId)}`
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.manageUser(req.userId, req.params.userId, req.params.action, req.body.reason)
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`${userUrl}?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error applying admin action:", error.message)
+        res.redirect(`${userUrl}?message=${encodeURIComponent("An error occurred while updating the user.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for granting a badge to a user or revoking it (POST).
+ * Requires an admin session, validated by the `attachSessionData` and `requireAdmin` middlewares.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.userId - The ID of the user.
+ * @param {string} req.params.action - "grant" or "revoke".
+ * @param {string} req.body.badgeName - The name of the badge.
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while updating the badges.
+ * 
+ * @returns {void} Redirects to the user's admin page with a success or error message.
+ */
+app.post("/admin/users/:userId/badges/:action(grant|revoke)", attachSessionData, requireAdmin, async (req, res) => {
+    const userUrl = `/admin/users/${encodeURIComponent(req.params.userId)}`
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.manageUserBadge(req.params.userId, req.body.badgeName, req.params.action)
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`${userUrl}?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error updating user badges:", error.message)
+        res.redirect(`${userUrl}?message=${encodeURIComponent("An error occurred while updating the badges.")}&type=error`)
+
+    }
+})
+
+/**
+ * Route handler for the moderation queue in the admin console.
+ * Lists open reports, or the reports already dismissed or acted on, newest first.
+ * Requires an admin session, validated by the `attachSessionData` and `requireAdmin` middlewares.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.query.status - Optional status of the listed reports: "open" (default), "dismissed" or "actioned".
+ * @param {string} req.query.page - Optional page number (1-based).
+ * @param {string} req.query.message - Optional message to display on the page.
+ * @param {string} req.query.type - Optional type to define the message style (success/error).
+ * 
+ * @throws {Error} If any error occurs while fetching the reports.
+ * 
+ * @returns {void} Renders the "adminReports" view with one page of reports and a CSRF token.
+ */
+app.get("/admin/reports", attachSessionData, requireAdmin, async (req, res) => {
+    try {
+        const queue = await business.getModerationQueue(req.query.status, parseInt(req.query.page, 10) || 1)
+        const pageUrl = (page) => `/admin/reports?status=${queue.status}&page=${page}`
+        const csrfToken = await business.generateFormToken(req.cookies.sessionKey)
+
+        res.render("adminReports", {
+            reports: queue.reports,
+            status: queue.status,
+            isOpen: queue.status === "open",
+            openCount: queue.openCount,
+            page: queue.page,
+            totalPages: queue.totalPages,
+            previousPageUrl: queue.page > 1 ? pageUrl(queue.page - 1) : null,
+            nextPageUrl: queue.page < queue.totalPages ? pageUrl(queue.page + 1) : null,
+            csrfToken,
+            message: req.query.message,
+            type: req.query.type
+        })
+    } catch (error) {
+        console.error("Error fetching moderation queue:", error.message)
+        res.redirect(`/admin?message=${encodeURIComponent("An error occurred while loading the reports.")}&type=error`)
+    }
+})
+
+/**
+ * Route handler for reviewing a report (POST): dismissing it, hiding the reported message or suspending the reported user.
+ * Requires an admin session, validated by the `attachSessionData` and `requireAdmin` middlewares.
+ * 
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {string} req.params.reportId - The ID of the report.
+ * @param {string} req.params.action - "dismiss", "hide-message" or "suspend-user".
+ * @param {string} req.body.csrfToken - The CSRF token for session validation.
+ * 
+ * @throws {Error} If any error occurs while resolving the report.
+ * 
+ * @returns {void} Redirects to the moderation queue with a success or error message.
+ */
+app.post("/admin/reports/:reportId/:action(dismiss|hide-message|suspend-user)", attachSessionData, requireAdmin, async (req, res) => {
+    try {
+
+        const sessionData = await business.getSession(req.cookies.sessionKey)
+        if (!sessionData || sessionData.csrfToken !== req.body.csrfToken) {
+            return res.redirect(`/login?message=${encodeURIComponent("Your session has expired. Please log in again.")}&type=error`)
+        }
+
+        const result = await business.resolveReport(req.userId, req.params.reportId, req.params.action)
+        await business.cancelToken(req.cookies.sessionKey)
+        res.redirect(`/admin/reports?message=${encodeURIComponent(result.message)}&type=${result.isValid ? "success" : "error"}`)
+
+    } catch (error) {
+
+        console.error("Error resolving report:", error.message)
+        res.redirect(`/admin/reports?message=${encodeURIComponent("An error occurred while reviewing the report.")}&type=error`)
 
     }
 })
@@ -822,4 +2461,8 @@ app.get("/logout", async (req, res) => {
     }
 })
 
-app.listen(8000, () => { })
\ No newline at end of file
+app.listen(8000, async () => {
+    await business.migrateLanguageLevels()
+    await business.initializeBadges()
+    await business.initializeAdmins()
+})
\ No newline at end of file